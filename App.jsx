@@ -1,29 +1,133 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import { v4 as uuid } from "uuid";
-
-// ---- Storage helpers (localStorage only, export/import JSON) ----
-const STORAGE_KEY = "rp-evidence-db-v1";
-
-function loadDB() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return { investigations: [], evidence: [], version: 1 };
-    return JSON.parse(raw);
-  } catch (e) {
-    console.error("Failed to load DB", e);
-    return { investigations: [], evidence: [], version: 1 };
-  }
-}
-
-function saveDB(db) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
-}
-
-// ---- Data types ----
-// Investigation: { id, title, caseNumber, description, status, createdAt, updatedAt, tags: [] }
-// Evidence: { id, investigationId, title, type, summary, createdAt, updatedAt, tags: [], entries: [] }
-// Entry: { id, author, body, timestamp, attachments: [{label, url}] }
+import {
+  ACTOR_KEY,
+  CURRENT_USER_KEY,
+  DB_VERSION,
+  emptyDB,
+  indexedDBStorage,
+  describeStorageError,
+  DEFAULT_AUTO_LOCK_MINUTES,
+  createLock,
+  openLock,
+  readLock,
+  unlockStorage,
+  lockStorage,
+  rekeyStorage,
+  updateLockSettings,
+  eraseStorage,
+  encryptExport,
+  parseEncryptedExport,
+  decryptExport,
+  broadcastChanges,
+  subscribeToOtherTabs,
+  applyStoreChanges,
+  formatDate,
+  LOCAL_TIME_ZONE,
+  fromZonedInput,
+  formatInZone,
+  isoInZone,
+  toDateTimeInput,
+  formatBytes,
+  exportFileName,
+  putFiles,
+  getFile,
+  fileAttachments,
+  pruneFiles,
+  describeFile,
+  makeZip,
+  sha256Hex,
+  verifyThread,
+  withEntry,
+  newEntry,
+  appendEntry,
+  fieldChanges,
+  planMerge,
+  applyMerge,
+  replaceWith,
+  SYNC_INTERVAL_MS,
+  SYNC_BATCH_SIZE,
+  splitSyncKey,
+  syncRecords,
+  pendingChanges,
+  applyPulled,
+  applyPushResults,
+  resolvedRecord,
+  settleConflict,
+  autoResolvable,
+  syncRequest,
+  CUSTODY_FIELDS,
+  isCustodyEntry,
+  currentCustody,
+  custodyReport,
+  custodySummary,
+  isDispositionEntry,
+  dispositionData,
+  dispositionLabel,
+  nextDispositions,
+  isFinalDisposition,
+  currentDisposition,
+  dispositionSummary,
+  isAmendment,
+  changedEntryId,
+  amendmentData,
+  redactionData,
+  redactEvidence,
+  threadView,
+  typeColor,
+  timelineItems,
+  groupTimeline,
+  bucketLabel,
+  buildCaseReport,
+  ENTITY_KINDS,
+  entityKindLabel,
+  entityLabel,
+  linkEntity,
+  unlinkEntity,
+  entityReferences,
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_KINDS,
+  staleRule,
+  customFieldValues,
+  cleanCustomValues,
+  applySettings,
+  ROLES,
+  roleLabel,
+  can,
+  userLabel,
+  closingStatus,
+  changesClosure,
+  leadProblem,
+  tagKey,
+  tagUsage,
+  normalizeTags,
+  renameTags,
+  unifyTagSpellings,
+  newRecord,
+  createRecord,
+  updateRecord,
+  trashRecord,
+  restoreRecord,
+  purgeRecord,
+  exportJSONText,
+  readBundle,
+  prepareImport,
+  csvColumns,
+  exportCSVText,
+  parseCSV,
+  guessCSVMapping,
+  prepareCSVImport,
+  parseMarkdown,
+  markdownPlain,
+  makeRefResolver,
+  buildBacklinks,
+  indexDB,
+  buildSearchIndex,
+  runSearch,
+  dashboardStats,
+} from "./evidence-db.mjs";
 
 // ---- UI Primitives ----
 const Button = ({ as: As = "button", className = "", ...props }) => (
@@ -52,28 +156,224 @@ const TextArea = ({ className = "", rows = 4, ...props }) => (
   />
 );
 
-const Tag = ({ children }) => (
-  <span className="text-xs rounded-full border border-black/10 px-2 py-0.5 bg-black/5 mr-1">{children}</span>
-);
+// With onClick the chip becomes a button, e.g. to filter by the tag.
+const Tag = ({ children, onClick }) =>
+  onClick ? (
+    <button
+      type="button"
+      className="text-xs rounded-full border border-black/10 px-2 py-0.5 bg-black/5 mr-1 hover:border-black/40"
+      onClick={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onClick();
+      }}
+    >
+      {children}
+    </button>
+  ) : (
+    <span className="text-xs rounded-full border border-black/10 px-2 py-0.5 bg-black/5 mr-1">{children}</span>
+  );
 
 const Card = ({ children, className = "" }) => (
   <div className={`rounded-2xl bg-white border border-black/10 shadow-sm p-4 ${className}`}>{children}</div>
 );
 
-// ---- Utility ----
-function formatDate(ts) {
-  try {
-    return new Date(ts).toLocaleString();
-  } catch {
-    return ts;
+const Snippet = ({ snippet }) =>
+  snippet ? (
+    <div className="text-xs text-black/70 break-words">
+      <span className="text-black/50">{snippet.label}: </span>
+      {snippet.clippedStart && "…"}
+      {snippet.parts.map((p, idx) => (p.hit ? <mark key={idx} className="bg-yellow-200 rounded px-0.5">{p.text}</mark> : <span key={idx}>{p.text}</span>))}
+      {snippet.clippedEnd && "…"}
+    </div>
+  ) : null;
+
+const IntegrityBadge = ({ result }) => {
+  if (!result) return <span className="text-xs px-2 py-0.5 rounded-full border border-black/10 bg-black/5 text-black/60">Checking…</span>;
+  if (result.ok && result.partial) {
+    return (
+      <span
+        className="text-xs px-2 py-0.5 rounded-full border border-amber-300 bg-amber-50 text-amber-800"
+        title={`Imported from a redacted export: masked entries cannot be checked. Chain head ${result.head}`}
+      >
+        ◐ Partly verifiable (redacted copy)
+      </span>
+    );
   }
+  if (result.ok) {
+    return (
+      <span className="text-xs px-2 py-0.5 rounded-full border border-green-300 bg-green-50 text-green-800" title={`Chain head ${result.head}`}>
+        ✓ Verified
+      </span>
+    );
+  }
+  return (
+    <span className="text-xs px-2 py-0.5 rounded-full border border-red-300 bg-red-50 text-red-800" title={result.reason}>
+      ✕ Broken at entry {result.index}
+    </span>
+  );
+};
+
+// Scroll container that renders only the items in and near view, so lists of thousands stay fast.
+// Item heights are measured once rendered; unseen items count as `estimate` pixels (gap included).
+// Changing `scrollToKey` scrolls that item into view.
+function VirtualList({ items, itemKey = (item) => item.id, renderItem, estimate = 100, gap = 8, overscan = 800, className = "", scrollToKey }) {
+  const ref = useRef(null);
+  const heights = useRef(new Map());
+  const nodes = useRef(new Map());
+  const refs = useRef(new Map());
+  const pendingScroll = useRef(null);
+  const [view, setView] = useState({ top: 0, height: 0 });
+  const [, setMeasured] = useState(0);
+
+  const observer = useMemo(
+    () =>
+      typeof ResizeObserver === "undefined"
+        ? null
+        : new ResizeObserver((records) => {
+            let changed = false;
+            records.forEach(({ target }) => {
+              if (heights.current.get(target.dataset.key) !== target.offsetHeight) {
+                heights.current.set(target.dataset.key, target.offsetHeight);
+                changed = true;
+              }
+            });
+            if (changed) setMeasured((n) => n + 1);
+          }),
+    []
+  );
+  useEffect(() => () => observer?.disconnect(), [observer]);
+
+  useEffect(() => {
+    const el = ref.current;
+    const update = () => setView({ top: el.scrollTop, height: el.clientHeight });
+    update();
+    el.addEventListener("scroll", update, { passive: true });
+    const resize = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(update);
+    resize?.observe(el);
+    return () => {
+      el.removeEventListener("scroll", update);
+      resize?.disconnect();
+    };
+  }, []);
+
+  // One stable ref callback per key, so re-renders do not re-observe every item.
+  const refFor = (key) => {
+    if (!refs.current.has(key)) {
+      refs.current.set(key, (el) => {
+        const prev = nodes.current.get(key);
+        if (prev) observer?.unobserve(prev);
+        if (el) {
+          nodes.current.set(key, el);
+          observer?.observe(el);
+        } else nodes.current.delete(key);
+      });
+    }
+    return refs.current.get(key);
+  };
+
+  const keys = items.map(itemKey);
+  const offsets = [0];
+  keys.forEach((key, i) => offsets.push(offsets[i] + (heights.current.get(key) ?? estimate)));
+  // First index whose slot ends below `y`; offsets only grow, so binary search.
+  const indexAt = (y) => {
+    let lo = 0;
+    let hi = items.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (offsets[mid + 1] <= y) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const start = indexAt(view.top - overscan);
+  const end = Math.min(items.length, indexAt(view.top + (view.height || window.innerHeight) + overscan) + 1);
+
+  useEffect(() => {
+    if (scrollToKey) pendingScroll.current = scrollToKey;
+  }, [scrollToKey]);
+  useEffect(() => {
+    const key = pendingScroll.current;
+    if (!key) return;
+    const el = nodes.current.get(key);
+    const i = keys.indexOf(key);
+    if (el || i < 0) {
+      el?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+      pendingScroll.current = null;
+    } else ref.current.scrollTop = offsets[i];
+  });
+
+  return (
+    <div ref={ref} className={`overflow-auto ${className}`}>
+      <div style={{ height: offsets[start] }} />
+      {items.slice(start, end).map((item, j) => (
+        <div key={keys[start + j]} data-key={keys[start + j]} ref={refFor(keys[start + j])} style={{ paddingBottom: gap }}>
+          {renderItem(item)}
+        </div>
+      ))}
+      <div style={{ height: offsets[items.length] - offsets[end] }} />
+    </div>
+  );
+}
+
+// ---- Utility ----
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ---- Data hooks ----
+// Object URL for a stored attachment, with its digest re-checked against the entry's record.
+function useStoredFile(sha256) {
+  const [state, setState] = useState({ status: "loading" });
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    getFile(sha256)
+      .then(async (blob) => {
+        if (!blob) return { status: "missing" };
+        const ok = (await sha256Hex(await blob.arrayBuffer())) === sha256;
+        url = URL.createObjectURL(blob);
+        return { status: ok ? "ok" : "mismatch", url };
+      })
+      .catch((e) => ({ status: "error", message: e.message }))
+      .then((next) => {
+        if (cancelled) {
+          if (url) URL.revokeObjectURL(url);
+        } else setState(next);
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [sha256]);
+  return state;
 }
 
-function csvSafe(s) {
-  if (s == null) return "";
-  const needsQuotes = /[",\n]/.test(String(s));
-  let out = String(s).replaceAll('"', '""');
-  return needsQuotes ? `"${out}"` : out;
+// Verifies every thread in the background, re-checking only threads whose entries changed.
+function useChainIntegrity(evidence) {
+  const cache = useRef(new WeakMap());
+  const [results, setResults] = useState({});
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(
+      evidence.map(async (e) => {
+        const entries = e.entries || [];
+        if (!cache.current.has(entries)) cache.current.set(entries, verifyThread(e));
+        return [e.id, await cache.current.get(entries)];
+      })
+    ).then((pairs) => {
+      if (!cancelled) setResults(Object.fromEntries(pairs));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [evidence]);
+  return results;
 }
 
 // ---- Modals ----
@@ -108,199 +408,2091 @@ function Modal({ open, onClose, title, children, wide = false }) {
   );
 }
 
-// ---- Forms ----
-function InvestigationForm({ initial, onSubmit }) {
-  const [title, setTitle] = useState(initial?.title || "");
-  const [caseNumber, setCaseNumber] = useState(initial?.caseNumber || "");
-  const [description, setDescription] = useState(initial?.description || "");
-  const [status, setStatus] = useState(initial?.status || "Open");
-  const [tags, setTags] = useState((initial?.tags || []).join(", "));
+// ---- Custom fields & settings views ----
+function CustomFieldInputs({ fields, values, onChange }) {
+  if (!fields.length) return null;
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      {fields.map((f) => (
+        <div key={f.id}>
+          <label className="text-sm">{f.label}</label>
+          {f.type === "select" ? (
+            <select className="w-full rounded-2xl border border-black/10 px-3 py-2" value={values[f.id] ?? ""} onChange={(e) => onChange(f.id, e.target.value)}>
+              <option value="">—</option>
+              {[...f.options, ...(values[f.id] && !f.options.includes(values[f.id]) ? [values[f.id]] : [])].map((o) => (
+                <option key={o}>{o}</option>
+              ))}
+            </select>
+          ) : (
+            <Input
+              type={f.type === "number" ? "number" : f.type === "date" ? "date" : "text"}
+              step={f.type === "number" ? "any" : undefined}
+              value={values[f.id] ?? ""}
+              onChange={(e) => onChange(f.id, e.target.value)}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
 
+const CustomFieldList = ({ fields, record, className = "" }) => {
+  const values = customFieldValues(fields, record);
+  if (!values.length) return null;
   return (
-    <form
-      onSubmit={(e) => {
-        e.preventDefault();
-        const payload = {
-          title: title.trim(),
-          caseNumber: caseNumber.trim(),
-          description: description.trim(),
-          status,
-          tags: tags
-            .split(",")
-            .map((t) => t.trim())
-            .filter(Boolean),
-        };
-        onSubmit(payload);
-      }}
-      className="space-y-3"
-    >
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+    <div className={`text-xs text-black/70 flex flex-wrap gap-x-3 ${className}`}>
+      {values.map(([f, text]) => (
+        <span key={f.id}>
+          <span className="text-black/50">{f.label}:</span> {text}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+// Editable list of names. Items remember the name they started with so renames can be applied to records.
+function NameListEditor({ items, onChange, placeholder }) {
+  const update = (i, patch) => onChange(items.map((it, idx) => (idx === i ? { ...it, ...patch } : it)));
+  const move = (i, d) => {
+    const next = [...items];
+    [next[i], next[i + d]] = [next[i + d], next[i]];
+    onChange(next);
+  };
+  return (
+    <div className="space-y-2">
+      {items.map((it, i) => (
+        <div key={it.key} className="flex items-center gap-2">
+          <Input value={it.value} onChange={(e) => update(i, { value: e.target.value })} placeholder={placeholder} />
+          {it.original && it.original !== it.value.trim() && <span className="text-xs text-black/50 whitespace-nowrap">was {it.original}</span>}
+          <Button type="button" disabled={i === 0} onClick={() => move(i, -1)}>↑</Button>
+          <Button type="button" disabled={i === items.length - 1} onClick={() => move(i, 1)}>↓</Button>
+          <Button type="button" onClick={() => onChange(items.filter((_, idx) => idx !== i))}>✕</Button>
+        </div>
+      ))}
+      <Button type="button" onClick={() => onChange([...items, { key: uuid(), value: "", original: null }])}>+ Add</Button>
+    </div>
+  );
+}
+
+function SettingsView({ settings, onSave }) {
+  const toItems = (list) => list.map((value) => ({ key: uuid(), value, original: value }));
+  const [statuses, setStatuses] = useState(() => toItems(settings.statuses));
+  const [types, setTypes] = useState(() => toItems(settings.evidenceTypes));
+  const [staleDays, setStaleDays] = useState(() => String(staleRule(settings).days));
+  // Stale statuses are remembered by item key so they follow a rename.
+  const [staleKeys, setStaleKeys] = useState(() => new Set(statuses.filter((it) => staleRule(settings).statuses.includes(it.value)).map((it) => it.key)));
+  const [fields, setFields] = useState(() =>
+    Object.fromEntries(CUSTOM_FIELD_KINDS.map(([kind]) => [kind, settings.customFields[kind].map((f) => ({ ...f, optionsText: f.options.join(", ") }))]))
+  );
+
+  const updateField = (kind, id, patch) => setFields((prev) => ({ ...prev, [kind]: prev[kind].map((f) => (f.id === id ? { ...f, ...patch } : f)) }));
+
+  function save() {
+    const names = (items, what) => {
+      const values = items.map((it) => it.value.trim());
+      if (!values.length) throw new Error(`Keep at least one ${what}.`);
+      if (values.some((v) => !v)) throw new Error(`Every ${what} needs a name.`);
+      if (new Set(values).size !== values.length) throw new Error(`Each ${what} must be listed once.`);
+      return values;
+    };
+    const renames = (items) => new Map(items.filter((it) => it.original && it.original !== it.value.trim()).map((it) => [it.original, it.value.trim()]));
+    try {
+      const customFields = Object.fromEntries(
+        CUSTOM_FIELD_KINDS.map(([kind]) => [
+          kind,
+          fields[kind].map(({ optionsText, ...f }) => {
+            if (!f.label.trim()) throw new Error("Every custom field needs a label.");
+            const options = f.type === "select" ? optionsText.split(",").map((o) => o.trim()).filter(Boolean) : [];
+            if (f.type === "select" && !options.length) throw new Error(`Give "${f.label}" at least one option.`);
+            return { ...f, label: f.label.trim(), options };
+          }),
+        ])
+      );
+      const days = Number(staleDays);
+      if (!Number.isInteger(days) || days < 1) throw new Error("Stale after must be a whole number of days.");
+      onSave(
+        {
+          statuses: names(statuses, "status"),
+          evidenceTypes: names(types, "evidence type"),
+          customFields,
+          staleDays: days,
+          staleStatuses: statuses.filter((it) => staleKeys.has(it.key)).map((it) => it.value.trim()),
+        },
+        { statuses: renames(statuses), evidenceTypes: renames(types) }
+      );
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <div>
-          <label className="text-sm">Title</label>
-          <Input value={title} onChange={(e) => setTitle(e.target.value)} required />
+          <h4 className="font-semibold mb-2">Investigation statuses</h4>
+          <NameListEditor items={statuses} onChange={setStatuses} placeholder="Status" />
         </div>
         <div>
-          <label className="text-sm">Case #</label>
-          <Input value={caseNumber} onChange={(e) => setCaseNumber(e.target.value)} />
+          <h4 className="font-semibold mb-2">Evidence types</h4>
+          <NameListEditor items={types} onChange={setTypes} placeholder="Type" />
         </div>
       </div>
+      <div className="text-xs text-black/60">Renaming a status or type also renames it on every record that uses it. Removed names stay on existing records.</div>
       <div>
-        <label className="text-sm">Status</label>
-        <select
-          className="w-full rounded-2xl border border-black/10 px-3 py-2"
-          value={status}
-          onChange={(e) => setStatus(e.target.value)}
-        >
-          <option>Open</option>
-          <option>Active</option>
-          <option>On Hold</option>
-          <option>Closed</option>
-        </select>
+        <h4 className="font-semibold mb-2">Stale investigations</h4>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          Flag after
+          <Input type="number" min="1" className="w-24" value={staleDays} onChange={(e) => setStaleDays(e.target.value)} />
+          days without a new entry, when the status is
+          {statuses
+            .filter((it) => it.value.trim())
+            .map((it) => (
+              <label key={it.key} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={staleKeys.has(it.key)}
+                  onChange={(e) =>
+                    setStaleKeys((prev) => {
+                      const next = new Set(prev);
+                      if (e.target.checked) next.add(it.key);
+                      else next.delete(it.key);
+                      return next;
+                    })
+                  }
+                />
+                {it.value.trim()}
+              </label>
+            ))}
+        </div>
       </div>
-      <div>
-        <label className="text-sm">Tags (comma separated)</label>
-        <Input value={tags} onChange={(e) => setTags(e.target.value)} placeholder="robbery, homicide, narcotics" />
+      {CUSTOM_FIELD_KINDS.map(([kind, label]) => (
+        <div key={kind}>
+          <h4 className="font-semibold mb-2">Custom fields: {label}</h4>
+          <div className="space-y-2">
+            {fields[kind].map((f) => (
+              <div key={f.id} className="grid grid-cols-12 gap-2">
+                <Input className="col-span-4" placeholder="Label, e.g. Bag number" value={f.label} onChange={(e) => updateField(kind, f.id, { label: e.target.value })} />
+                <select className="col-span-2 rounded-2xl border border-black/10 px-3 py-2" value={f.type} onChange={(e) => updateField(kind, f.id, { type: e.target.value })}>
+                  {CUSTOM_FIELD_TYPES.map(([t, name]) => (
+                    <option key={t} value={t}>{name}</option>
+                  ))}
+                </select>
+                <Input
+                  className="col-span-5"
+                  placeholder="Options, comma separated"
+                  disabled={f.type !== "select"}
+                  value={f.type === "select" ? f.optionsText : ""}
+                  onChange={(e) => updateField(kind, f.id, { optionsText: e.target.value })}
+                />
+                <Button type="button" className="col-span-1" onClick={() => setFields((prev) => ({ ...prev, [kind]: prev[kind].filter((x) => x.id !== f.id) }))}>✕</Button>
+              </div>
+            ))}
+            <Button
+              type="button"
+              onClick={() => setFields((prev) => ({ ...prev, [kind]: [...prev[kind], { id: uuid(), label: "", type: "text", options: [], optionsText: "" }] }))}
+            >
+              + Add field
+            </Button>
+          </div>
+        </div>
+      ))}
+      <div className="flex justify-end">
+        <PrimaryButton onClick={save}>Save settings</PrimaryButton>
       </div>
-      <div>
-        <label className="text-sm">Description</label>
-        <TextArea value={description} onChange={(e) => setDescription(e.target.value)} rows={6} />
+    </div>
+  );
+}
+
+// ---- Tag manager ----
+function TagManager({ usage, onRename, onUnify, onFilter, readOnly = false }) {
+  const [selected, setSelected] = useState([]);
+  const [target, setTarget] = useState("");
+  const [filter, setFilter] = useState("");
+  const mixed = usage.filter((g) => g.spellings.length > 1).length;
+  const shown = usage.filter((g) => !filter.trim() || g.key.includes(tagKey(filter)));
+  const toggle = (key) => setSelected((s) => (s.includes(key) ? s.filter((k) => k !== key) : [...s, key]));
+
+  function apply() {
+    const to = target.trim();
+    if (!to) return alert("Enter the new tag name.");
+    const groups = usage.filter((g) => selected.includes(g.key));
+    const from = groups.flatMap((g) => g.spellings.map(([s]) => s));
+    const records = groups.reduce((n, g) => n + g.investigations + g.evidence, 0);
+    const verb = groups.length > 1 ? `Merge ${groups.length} tags into` : `Rename "${groups[0].tag}" to`;
+    if (!confirm(`${verb} "${to}"? ${records} record(s) will be updated.`)) return;
+    onRename(from, to);
+    setSelected([]);
+    setTarget("");
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Input className="flex-1" placeholder="Filter tags…" value={filter} onChange={(e) => setFilter(e.target.value)} />
+        {!!mixed && !readOnly && (
+          <Button onClick={() => confirm(`Give ${mixed} tag(s) written in several ways their most common spelling?`) && onUnify()}>
+            Unify spelling ({mixed})
+          </Button>
+        )}
       </div>
-      <div className="flex items-center gap-2 justify-end">
-        <PrimaryButton type="submit">Save</PrimaryButton>
+      {!usage.length && <div className="text-sm text-black/60">No tags yet.</div>}
+      <div className="max-h-[50vh] overflow-auto space-y-1 pr-1">
+        {shown.map((g) => (
+          <label key={g.key} className="flex items-center gap-2 text-sm rounded-xl border border-black/10 px-3 py-1.5">
+            {!readOnly && <input type="checkbox" checked={selected.includes(g.key)} onChange={() => toggle(g.key)} />}
+            <Tag onClick={() => onFilter(g.tag)}>{g.tag}</Tag>
+            {g.spellings.length > 1 && <span className="text-xs text-black/50">also {g.spellings.slice(1).map(([s]) => s).join(", ")}</span>}
+            <span className="ml-auto text-xs text-black/60 whitespace-nowrap">
+              {g.investigations} investigation(s) · {g.evidence} evidence
+            </span>
+          </label>
+        ))}
       </div>
-    </form>
+      {!!selected.length && (
+        <div className="flex items-center gap-2">
+          <span className="text-sm whitespace-nowrap">{selected.length > 1 ? `Merge ${selected.length} tags into` : "Rename to"}</span>
+          <TagInput single value={target} onChange={setTarget} suggestions={usage.map((g) => g.tag)} placeholder="New tag" />
+          <PrimaryButton onClick={apply}>Apply</PrimaryButton>
+        </div>
+      )}
+    </div>
   );
 }
 
-function EvidenceForm({ initial, onSubmit }) {
-  const [title, setTitle] = useState(initial?.title || "");
-  const [type, setType] = useState(initial?.type || "Physical");
-  const [summary, setSummary] = useState(initial?.summary || "");
-  const [tags, setTags] = useState((initial?.tags || []).join(", "));
+// ---- Dashboard view ----
+// Rows of { label, count, filter } drawn as horizontal bars; clicking one filters the sidebar.
+function BarList({ rows, onFilter, empty }) {
+  const max = Math.max(1, ...rows.map((r) => r.count));
+  if (!rows.length) return <div className="text-sm text-black/60">{empty}</div>;
+  return (
+    <div className="space-y-1">
+      {rows.map((r) => (
+        <button key={r.label} type="button" className="w-full text-left rounded-lg px-1 hover:bg-black/5" onClick={() => onFilter(r.filter)}>
+          <div className="flex justify-between text-sm">
+            <span className="truncate">{r.label}</span>
+            <span className="text-black/60">{r.count}</span>
+          </div>
+          <div className="h-1.5 rounded-full bg-black/5">
+            <div className="h-1.5 rounded-full bg-black/60" style={{ width: `${(r.count / max) * 100}%` }} />
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function Dashboard({ stats, onFilter, onOpen, onOpenEvidence }) {
+  const maxWeek = Math.max(1, ...stats.weeks.map((w) => w.count));
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-4">
+        {[
+          ["Investigations", stats.totals.investigations],
+          ["Evidence items", stats.totals.evidence],
+          ["Entries", stats.totals.entries],
+        ].map(([label, n]) => (
+          <Card key={label}>
+            <div className="text-sm text-black/60">{label}</div>
+            <div className="text-2xl font-semibold">{n}</div>
+          </Card>
+        ))}
+      </div>
+
+      <Card className={stats.stale.length ? "border-amber-300" : ""}>
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <h3 className="font-semibold">
+            Stale investigations ({stats.stale.length})
+            <span className="ml-2 text-xs font-normal text-black/60">
+              {stats.staleRule.statuses.join(" / ") || "no statuses selected"}, no new entry for {stats.staleRule.days}+ days
+            </span>
+          </h3>
+          {stats.stale.length > 0 && <Button onClick={() => onFilter(stats.staleFilter)}>Show in list</Button>}
+        </div>
+        {stats.stale.length ? (
+          <div className="space-y-1">
+            {stats.stale.map(({ investigation: i, activeAt, idleDays }) => (
+              <button key={i.id} type="button" className="w-full text-left rounded-lg px-1 hover:bg-black/5 flex items-center justify-between gap-2" onClick={() => onOpen(i.id)}>
+                <span className="truncate">
+                  {i.title} {i.caseNumber && <span className="text-xs text-black/60">(#{i.caseNumber})</span>}
+                </span>
+                <span className="text-xs text-black/60 whitespace-nowrap" title={`Last activity ${formatDate(activeAt)}`}>
+                  {i.status} • {idleDays} days idle
+                </span>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="text-sm text-black/60">Nothing stale.</div>
+        )}
+      </Card>
+
+      <Card className={stats.due.length ? "border-amber-300" : ""}>
+        <h3 className="font-semibold mb-2">
+          Evidence due for review ({stats.due.length})
+          <span className="ml-2 text-xs font-normal text-black/60">past its review date, or checked out of a closed investigation</span>
+        </h3>
+        {stats.due.length ? (
+          <div className="space-y-1">
+            {stats.due.map(({ evidence: ev, investigation: i, disposition, reasons }) => (
+              <button key={ev.id} type="button" className="w-full text-left rounded-lg px-1 hover:bg-black/5 flex items-center justify-between gap-2" onClick={() => onOpenEvidence(ev)}>
+                <span className="truncate">
+                  {ev.title} <span className="text-xs text-black/60">in {i.title} • {dispositionLabel(disposition.state)}</span>
+                </span>
+                <span className="text-xs text-amber-800 whitespace-nowrap">{reasons.join("; ")}</span>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="text-sm text-black/60">Nothing due.</div>
+        )}
+      </Card>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Card>
+          <h3 className="font-semibold mb-2">Investigations by status</h3>
+          <BarList rows={stats.statuses} onFilter={onFilter} empty="No statuses." />
+        </Card>
+        <Card>
+          <h3 className="font-semibold mb-2">Evidence by type</h3>
+          <BarList rows={stats.types} onFilter={onFilter} empty="No evidence types." />
+        </Card>
+        <Card>
+          <h3 className="font-semibold mb-2">Entries per week</h3>
+          <div className="flex items-end gap-1 h-32">
+            {stats.weeks.map((w) => (
+              <button
+                key={w.from}
+                type="button"
+                className="flex-1 h-full flex flex-col justify-end items-center rounded hover:bg-black/5"
+                title={`Week of ${w.label}: ${w.count} entries`}
+                onClick={() => onFilter(w.filter)}
+              >
+                <span className="text-[10px] text-black/60">{w.count || ""}</span>
+                <div className="w-full rounded-t bg-black/60" style={{ height: `${(w.count / maxWeek) * 80}%` }} />
+              </button>
+            ))}
+          </div>
+          <div className="mt-1 flex justify-between text-xs text-black/50">
+            <span>{stats.weeks[0].label}</span>
+            <span>this week</span>
+          </div>
+        </Card>
+        <Card>
+          <h3 className="font-semibold mb-2">Most active authors</h3>
+          <BarList rows={stats.authors} onFilter={onFilter} empty="No entries yet." />
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+// ---- Sync view ----
+const SYNC_COLLECTION_LABELS = {
+  investigations: "Investigation",
+  evidence: "Evidence",
+  entities: "Entity",
+  entityLinks: "Entity link",
+  users: "User",
+  revisions: "Revision",
+  settings: "Settings",
+};
+
+function SyncSettings({ db, status, pending, online, onConnect, onDisconnect, onSync, onResolve }) {
+  const [server, setServer] = useState(db.sync?.server || "http://localhost:8787");
+  const [token, setToken] = useState("");
+  const local = useMemo(() => syncRecords(db), [db]);
+
+  if (!db.sync) {
+    return (
+      <form
+        className="space-y-3"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (server.trim()) onConnect(server.trim(), token.trim());
+        }}
+      >
+        <div className="text-sm text-black/70">
+          Share this database with your team through a sync server (<code>node server/sync-server.mjs</code>). Changes are kept here while you are offline and
+          sent when the connection is back. Attached files stay in this browser; use the bundle export to pass them on.
+        </div>
+        <div>
+          <label className="text-sm">Server URL</label>
+          <Input value={server} onChange={(e) => setServer(e.target.value)} placeholder="http://localhost:8787" />
+        </div>
+        <div>
+          <label className="text-sm">Token (if the server sets SYNC_TOKEN)</label>
+          <Input type="password" value={token} onChange={(e) => setToken(e.target.value)} />
+        </div>
+        <div className="flex justify-end">
+          <PrimaryButton type="submit">Connect</PrimaryButton>
+        </div>
+      </form>
+    );
+  }
+
+  const conflicts = Object.keys(db.sync.conflicts);
+  return (
+    <div className="space-y-4">
+      <div className="text-sm space-y-1">
+        <div>
+          Server: <span className="font-mono">{db.sync.server}</span>
+        </div>
+        <div>
+          {!online ? "Offline" : status.running ? "Syncing…" : status.at ? `Last synced ${formatDate(status.at)}` : "Not synced yet"}
+          {pending ? ` · ${pending} change(s) waiting to be sent` : ""}
+        </div>
+        {status.error && <div className="text-red-700">Last attempt failed: {status.error}</div>}
+      </div>
+      <div className="flex gap-2">
+        <PrimaryButton disabled={!online || status.running} onClick={onSync}>Sync now</PrimaryButton>
+        <Button onClick={() => confirm("Stop syncing with this server? Local data is kept.") && onDisconnect()}>Disconnect</Button>
+      </div>
+      {!!conflicts.length && (
+        <div className="space-y-2">
+          <h4 className="font-semibold">Conflicts ({conflicts.length})</h4>
+          <div className="text-xs text-black/60">
+            These records were changed here and on the server since the last sync. Evidence keeps the entries of both sides whichever you pick.
+          </div>
+          {conflicts.map((key) => {
+            const [collection] = splitSyncKey(key);
+            const conflict = db.sync.conflicts[key];
+            const mine = local.get(key);
+            const theirs = conflict.deleted ? null : conflict.data;
+            const changed = mine && theirs ? fieldChanges(mine, theirs).map((c) => c.field) : [];
+            return (
+              <div key={key} className="rounded-xl border border-black/10 p-3 text-sm flex items-center gap-2">
+                <div className="flex-1">
+                  <Tag>{SYNC_COLLECTION_LABELS[collection]}</Tag>
+                  {(mine || theirs)?.title || (mine || theirs)?.name || splitSyncKey(key)[1]}
+                  <div className="text-xs text-black/60">
+                    {!theirs ? "Deleted on the server" : !mine ? "Deleted here" : changed.length ? `Differs in ${changed.join(", ")}` : "Entries differ"}
+                  </div>
+                </div>
+                <Button onClick={() => onResolve(key, "mine")}>Keep mine</Button>
+                <Button onClick={() => onResolve(key, "theirs")}>Take server's</Button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
 
+// ---- User views ----
+function UserForm({ initial, roleLocked = false, onSubmit }) {
+  const [name, setName] = useState(initial?.name || "");
+  const [badge, setBadge] = useState(initial?.badge || "");
+  const [role, setRole] = useState(initial?.role || "investigator");
   return (
     <form
+      className="space-y-3"
       onSubmit={(e) => {
         e.preventDefault();
-        const payload = {
-          title: title.trim(),
-          type,
-          summary: summary.trim(),
-          tags: tags
-            .split(",")
-            .map((t) => t.trim())
-            .filter(Boolean),
-        };
-        onSubmit(payload);
+        if (!name.trim()) return alert("Name is required");
+        onSubmit({ name: name.trim(), badge: badge.trim(), role });
       }}
-      className="space-y-3"
     >
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
         <div>
-          <label className="text-sm">Title</label>
-          <Input value={title} onChange={(e) => setTitle(e.target.value)} required />
+          <label className="text-sm">Name</label>
+          <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="Jane Doe" autoFocus />
         </div>
         <div>
-          <label className="text-sm">Type</label>
-          <select className="w-full rounded-2xl border border-black/10 px-3 py-2" value={type} onChange={(e) => setType(e.target.value)}>
-            <option>Physical</option>
-            <option>Digital</option>
-            <option>Witness Statement</option>
-            <option>Forensics</option>
-            <option>Media</option>
-            <option>Other</option>
+          <label className="text-sm">Badge / call sign</label>
+          <Input value={badge} onChange={(e) => setBadge(e.target.value)} placeholder="1A-12" />
+        </div>
+        <div>
+          <label className="text-sm">Role</label>
+          <select className="w-full rounded-2xl border border-black/10 px-3 py-2" value={role} disabled={roleLocked} onChange={(e) => setRole(e.target.value)}>
+            {ROLES.map(([r, label]) => (
+              <option key={r} value={r}>{label}</option>
+            ))}
           </select>
         </div>
       </div>
-      <div>
-        <label className="text-sm">Tags (comma separated)</label>
-        <Input value={tags} onChange={(e) => setTags(e.target.value)} placeholder="CCTV, 9mm, DNA" />
-      </div>
-      <div>
-        <label className="text-sm">Summary</label>
-        <TextArea value={summary} onChange={(e) => setSummary(e.target.value)} rows={5} />
-      </div>
-      <div className="flex items-center gap-2 justify-end">
-        <PrimaryButton type="submit">Save</PrimaryButton>
+      <div className="flex justify-end">
+        <PrimaryButton type="submit">Save profile</PrimaryButton>
       </div>
     </form>
   );
 }
 
-function EntryForm({ onSubmit }) {
-  const [author, setAuthor] = useState("");
-  const [body, setBody] = useState("");
-  const [attachments, setAttachments] = useState([{ label: "", url: "" }]);
+// `children` is shown below the first-profile form, e.g. to join a team's sync server instead.
+function SignInScreen({ users, suggestedName, onSignIn, onCreateFirst, children }) {
+  const live = users.filter((u) => !u.deletedAt).sort((a, b) => a.name.localeCompare(b.name));
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-b from-zinc-50 to-zinc-100 p-4">
+      <Card className="w-full max-w-lg space-y-4">
+        <div className="text-2xl font-bold tracking-tight">Evidence Log</div>
+        {live.length ? (
+          <>
+            <div className="text-sm text-black/70">Who is using this browser? Entries and changes are recorded under this profile.</div>
+            <div className="space-y-2">
+              {live.map((u) => (
+                <button key={u.id} className="block w-full text-left rounded-xl border border-black/10 px-3 py-2 hover:border-black" onClick={() => onSignIn(u.id)}>
+                  <div className="font-medium">{userLabel(u)}</div>
+                  <div className="text-xs text-black/60">{roleLabel(u.role)}</div>
+                </button>
+              ))}
+            </div>
+            <div className="text-xs text-black/60">Not listed? Ask a case lead to add a profile for you.</div>
+          </>
+        ) : (
+          <>
+            <div className="text-sm text-black/70">Create the first profile. It becomes a case lead and can add profiles for the rest of the team.</div>
+            <UserForm initial={{ name: suggestedName, role: "lead" }} roleLocked onSubmit={onCreateFirst} />
+            {children && (
+              <div className="border-t border-black/10 pt-4 space-y-2">
+                <div className="text-sm font-semibold">Joining a team?</div>
+                {children}
+              </div>
+            )}
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
 
-  function addAttachment() {
-    setAttachments((a) => [...a, { label: "", url: "" }]);
-  }
+function UserManager({ users, currentUser, onCreate, onUpdate, onDelete, onSwitch }) {
+  const [editing, setEditing] = useState(null); // null | "new" | user
+  const manage = can(currentUser, "manage");
+  const live = users.filter((u) => !u.deletedAt).sort((a, b) => a.name.localeCompare(b.name));
 
-  function updateAttachment(i, field, value) {
-    setAttachments((prev) => prev.map((att, idx) => (idx === i ? { ...att, [field]: value } : att)));
+  if (editing) {
+    return (
+      <UserForm
+        key={editing === "new" ? "new" : editing.id}
+        initial={editing === "new" ? null : editing}
+        roleLocked={!manage}
+        onSubmit={(data) => {
+          if (editing === "new") onCreate(data);
+          else onUpdate(editing.id, data);
+          setEditing(null);
+        }}
+      />
+    );
   }
 
-  function removeAttachment(i) {
-    setAttachments((prev) => prev.filter((_, idx) => idx !== i));
-  }
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="flex-1">
+          Signed in as <span className="font-medium">{userLabel(currentUser)}</span> · {roleLabel(currentUser.role)}
+        </span>
+        <Button onClick={onSwitch}>Switch user</Button>
+        {manage && <PrimaryButton onClick={() => setEditing("new")}>+ New profile</PrimaryButton>}
+      </div>
+      <div className="space-y-2">
+        {live.map((u) => (
+          <div key={u.id} className="rounded-xl border border-black/10 p-3 flex items-center gap-3">
+            <div className="flex-1">
+              <div className="font-medium">{userLabel(u)}</div>
+              <div className="text-xs text-black/60">{roleLabel(u.role)}</div>
+            </div>
+            {(manage || u.id === currentUser.id) && <Button onClick={() => setEditing(u)}>Edit</Button>}
+            {manage && u.id !== currentUser.id && <Button onClick={() => onDelete(u.id)}>Remove</Button>}
+          </div>
+        ))}
+      </div>
+      <div className="text-xs text-black/60">
+        Case leads can close and delete investigations, manage profiles and settings, and purge the trash. Viewers can read, search and export but not change
+        anything. Removed profiles stay on the entries they wrote.
+      </div>
+    </div>
+  );
+}
+
+// ---- Passphrase & lock views ----
+function PassphraseForm({ confirm = false, current = false, submitLabel = "OK", onSubmit }) {
+  const [currentPassphrase, setCurrentPassphrase] = useState("");
+  const [passphrase, setPassphrase] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
 
   return (
     <form
-      onSubmit={(e) => {
+      className="space-y-3"
+      onSubmit={async (e) => {
         e.preventDefault();
-        const payload = {
-          author: author.trim() || "Unknown",
-          body: body.trim(),
-          attachments: attachments
-            .map((a) => ({ label: a.label.trim() || a.url.trim(), url: a.url.trim() }))
-            .filter((a) => a.url),
-        };
-        onSubmit(payload);
-        setAuthor("");
-        setBody("");
-        setAttachments([{ label: "", url: "" }]);
+        if (confirm && passphrase.length < 8) return setError("Use at least 8 characters.");
+        if (confirm && passphrase !== repeat) return setError("The passphrases do not match.");
+        setError(null);
+        setBusy(true);
+        try {
+          await onSubmit(passphrase, currentPassphrase);
+        } catch (err) {
+          setError(err.message);
+        } finally {
+          setBusy(false);
+        }
       }}
-      className="space-y-3"
     >
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      {current && (
         <div>
-          <label className="text-sm">Author</label>
-          <Input value={author} onChange={(e) => setAuthor(e.target.value)} placeholder="Deputy Name / Call Sign" />
+          <label className="text-sm">Current passphrase</label>
+          <Input type="password" value={currentPassphrase} onChange={(e) => setCurrentPassphrase(e.target.value)} autoFocus />
         </div>
+      )}
+      <div>
+        <label className="text-sm">{current ? "New passphrase" : "Passphrase"}</label>
+        <Input type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} autoFocus={!current} />
+      </div>
+      {confirm && (
         <div>
-          <label className="text-sm">Timestamp</label>
-          <Input value={new Date().toLocaleString()} readOnly />
+          <label className="text-sm">Repeat passphrase</label>
+          <Input type="password" value={repeat} onChange={(e) => setRepeat(e.target.value)} />
         </div>
+      )}
+      {error && <div className="text-sm text-red-700">{error}</div>}
+      <div className="flex justify-end">
+        <PrimaryButton type="submit" disabled={busy}>{busy ? "Working…" : submitLabel}</PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+function UnlockScreen({ onUnlock, onErase }) {
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-zinc-50 to-zinc-100 text-zinc-900 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <h1 className="text-2xl font-bold tracking-tight">Evidence Log is locked</h1>
+        <p className="mt-1 mb-4 text-sm text-black/60">Enter the passphrase to decrypt the data stored in this browser.</p>
+        <PassphraseForm submitLabel="Unlock" onSubmit={onUnlock} />
+        <div className="mt-6 text-xs text-black/50">
+          A forgotten passphrase cannot be recovered.{" "}
+          <button type="button" className="underline" onClick={onErase}>Erase all local data</button>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+function EncryptionSettings({ lock, onEnable, onChangePassphrase, onDisable, onAutoLock }) {
+  const [action, setAction] = useState(null); // change | disable
+
+  if (!lock) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-black/70">
+          Encrypts everything stored in this browser, attachments included, with a key derived from your passphrase. The app asks for it on load and
+          locks itself after {DEFAULT_AUTO_LOCK_MINUTES} minutes without activity. If the passphrase is lost, the data cannot be recovered.
+        </p>
+        <PassphraseForm confirm submitLabel="Turn on encryption" onSubmit={(passphrase) => onEnable(passphrase)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm">Encryption is <span className="font-semibold">on</span>. Data in this browser is stored encrypted.</div>
+      <div className="flex items-center gap-2 text-sm">
+        <label>Lock after</label>
+        <select className="rounded-2xl border border-black/10 px-3 py-2" value={lock.autoLockMinutes} onChange={(e) => onAutoLock(Number(e.target.value))}>
+          {[1, 5, 10, 15, 30, 60, 0].map((m) => (
+            <option key={m} value={m}>{m ? `${m} min of inactivity` : "never"}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <Button className={action === "change" ? "border-black" : ""} onClick={() => setAction("change")}>Change passphrase</Button>
+        <Button className={action === "disable" ? "border-black" : ""} onClick={() => setAction("disable")}>Turn off encryption</Button>
+      </div>
+      {action === "change" && (
+        <PassphraseForm current confirm submitLabel="Change passphrase" onSubmit={(passphrase, current) => onChangePassphrase(current, passphrase)} />
+      )}
+      {action === "disable" && (
+        <>
+          <div className="text-sm text-black/70">Everything will be rewritten in plaintext.</div>
+          <PassphraseForm submitLabel="Turn off encryption" onSubmit={(passphrase) => onDisable(passphrase)} />
+        </>
+      )}
+    </div>
+  );
+}
+
+// ---- Edit conflicts ----
+// Shown while a record is open in a form and someone else (another tab, or a merge) changes it.
+// `snapshot` is the version the form was opened with, `live` the current one.
+function StaleRecordWarning({ snapshot, live, onReload }) {
+  if (!snapshot) return null;
+  const deleted = !live || live.deletedAt;
+  const changes = deleted ? [] : fieldChanges(snapshot, live);
+  if (!deleted && !changes.length) return null;
+  return (
+    <div className="mb-3 rounded-2xl border border-amber-300 bg-amber-50 text-amber-900 px-4 py-3 text-sm">
+      {deleted ? (
+        <div className="font-semibold">This record was deleted elsewhere while you were editing it.</div>
+      ) : (
+        <>
+          <div className="font-semibold">Changed elsewhere while you were editing. Saving will overwrite these fields:</div>
+          <ChangeList changes={changes} />
+          <button type="button" className="mt-1 underline" onClick={() => onReload(live)}>Discard my edits and load the current version</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ---- Markdown view ----
+// `resolveRef(kind, key)` looks a reference up (see makeRefResolver); `onOpenRef(target)` opens it.
+function Markdown({ text, resolveRef, onOpenRef, className = "" }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  const inline = (nodes) =>
+    nodes.map((n, i) => {
+      if (n.type === "text") return <React.Fragment key={i}>{n.text}</React.Fragment>;
+      if (n.type === "code") return <code key={i} className="rounded bg-black/5 px-1 font-mono text-[0.9em]">{n.text}</code>;
+      if (n.type === "strong") return <strong key={i}>{inline(n.children)}</strong>;
+      if (n.type === "em") return <em key={i}>{inline(n.children)}</em>;
+      if (n.type === "strike") return <s key={i}>{inline(n.children)}</s>;
+      if (n.type === "link") {
+        return (
+          <a key={i} className="underline break-all" href={n.href} target="_blank" rel="noreferrer noopener">
+            {inline(n.children)}
+          </a>
+        );
+      }
+      const target = resolveRef?.(n.kind, n.key);
+      if (!target) return <React.Fragment key={i}>{n.text}</React.Fragment>;
+      return (
+        <button
+          key={i}
+          type="button"
+          className="underline decoration-dotted text-blue-800 hover:text-blue-600"
+          title={target.evidence ? `${target.evidence.title} (${target.investigation.title})` : target.investigation.title}
+          onClick={(e) => {
+            e.stopPropagation();
+            onOpenRef(target);
+          }}
+        >
+          {n.text}
+        </button>
+      );
+    });
+
+  const block = (b, i) => {
+    if (b.type === "heading") {
+      const Heading = `h${Math.min(b.level + 2, 6)}`;
+      return <Heading key={i} className="font-semibold">{inline(b.children)}</Heading>;
+    }
+    if (b.type === "paragraph") {
+      return (
+        <p key={i}>
+          {b.lines.map((line, j) => (
+            <React.Fragment key={j}>
+              {j > 0 && <br />}
+              {inline(line)}
+            </React.Fragment>
+          ))}
+        </p>
+      );
+    }
+    if (b.type === "list") {
+      const List = b.ordered ? "ol" : "ul";
+      return (
+        <List key={i} className={`ml-6 ${b.ordered ? "list-decimal" : "list-disc"}`}>
+          {b.items.map((it, j) => <li key={j}>{inline(it)}</li>)}
+        </List>
+      );
+    }
+    if (b.type === "quote") return <blockquote key={i} className="border-l-2 border-black/20 pl-3 text-black/70 space-y-1">{b.blocks.map(block)}</blockquote>;
+    if (b.type === "code") return <pre key={i} className="rounded-xl bg-black/5 p-2 text-sm font-mono overflow-auto">{b.text}</pre>;
+    return <hr key={i} className="border-black/10" />;
+  };
+
+  return <div className={`space-y-2 break-words ${className}`}>{blocks.map(block)}</div>;
+}
+
+// "Referenced by" list for an investigation or evidence thread; `sources` come from buildBacklinks.
+function Backlinks({ sources, onOpen }) {
+  if (!sources?.length) return null;
+  return (
+    <div className="mt-3 border-t border-black/10 pt-2">
+      <div className="text-sm font-medium">Referenced by ({sources.length})</div>
+      <ul className="mt-1 space-y-1 text-sm">
+        {sources.map((s) => (
+          <li key={(s.entry || s.evidence || s.investigation).id}>
+            <button type="button" className="text-left hover:underline" onClick={() => onOpen(s)}>
+              {s.investigation.title}
+              {s.evidence && ` › ${s.evidence.title}`}
+              {s.entry && <span className="text-black/60"> › entry by {s.entry.author}, {formatDate(s.entry.timestamp)}</span>}
+            </button>
+            {s.entry?.body && <div className="text-xs text-black/60 line-clamp-1">{markdownPlain(s.entry.body)}</div>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const MARKDOWN_HINT = "Markdown works here. Link with #CASE-NUMBER or @evidence-title.";
+
+// ---- Forms ----
+// Comma-separated tag input that completes the tag being typed from `suggestions`. `single` edits one tag.
+function TagInput({ value, onChange, suggestions, placeholder, single = false }) {
+  const [focused, setFocused] = useState(false);
+  const parts = single ? [value] : value.split(",");
+  const current = tagKey(parts[parts.length - 1]);
+  const present = new Set(parts.slice(0, -1).map(tagKey));
+  const matches = current
+    ? suggestions.filter((t) => tagKey(t).includes(current) && tagKey(t) !== current && !present.has(tagKey(t))).slice(0, 8)
+    : [];
+
+  function complete(tag) {
+    onChange(single ? tag : [...parts.slice(0, -1).map((p) => p.trim()), tag].join(", ") + ", ");
+  }
+
+  return (
+    <div className="relative flex-1">
+      <Input value={value} onChange={(e) => onChange(e.target.value)} onFocus={() => setFocused(true)} onBlur={() => setFocused(false)} placeholder={placeholder} />
+      {focused && matches.length > 0 && (
+        <div className="absolute z-20 mt-1 w-full rounded-2xl border border-black/10 bg-white shadow-sm py-1">
+          {matches.map((t) => (
+            <div key={t} className="px-3 py-1 text-sm cursor-pointer hover:bg-black/5" onMouseDown={(e) => { e.preventDefault(); complete(t); }}>
+              {t}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A record's current value stays selectable even if it was removed from the settings.
+const withCurrent = (list, current) => (current && !list.includes(current) ? [...list, current] : list);
+
+// Without `canClose` the closing status can be neither set nor left.
+function InvestigationForm({ initial, settings, knownTags, canClose = true, onSubmit }) {
+  const [title, setTitle] = useState(initial?.title || "");
+  const [caseNumber, setCaseNumber] = useState(initial?.caseNumber || "");
+  const [description, setDescription] = useState(initial?.description || "");
+  const [status, setStatus] = useState(initial?.status || settings.statuses[0]);
+  const [tags, setTags] = useState((initial?.tags || []).join(", "));
+  const [custom, setCustom] = useState(initial?.custom || {});
+  const fields = settings.customFields.investigation;
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        const payload = {
+          title: title.trim(),
+          caseNumber: caseNumber.trim(),
+          description: description.trim(),
+          status,
+          tags: normalizeTags(tags.split(","), knownTags),
+          custom: cleanCustomValues(fields, custom),
+        };
+        onSubmit(payload);
+      }}
+      className="space-y-3"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="text-sm">Title</label>
+          <Input value={title} onChange={(e) => setTitle(e.target.value)} required />
+        </div>
+        <div>
+          <label className="text-sm">Case #</label>
+          <Input value={caseNumber} onChange={(e) => setCaseNumber(e.target.value)} />
+        </div>
+      </div>
+      <div>
+        <label className="text-sm">Status</label>
+        <select
+          className="w-full rounded-2xl border border-black/10 px-3 py-2"
+          value={status}
+          disabled={!canClose && initial?.status === closingStatus(settings)}
+          onChange={(e) => setStatus(e.target.value)}
+        >
+          {withCurrent(settings.statuses, initial?.status).map((s) => (
+            <option key={s} disabled={!canClose && s === closingStatus(settings) && s !== initial?.status}>
+              {s}
+            </option>
+          ))}
+        </select>
+        {!canClose && <div className="mt-1 text-xs text-black/60">Only case leads can set or change &quot;{closingStatus(settings)}&quot;.</div>}
+      </div>
+      <CustomFieldInputs fields={fields} values={custom} onChange={(id, value) => setCustom((c) => ({ ...c, [id]: value }))} />
+      <div>
+        <label className="text-sm">Tags (comma separated)</label>
+        <TagInput value={tags} onChange={setTags} suggestions={knownTags} placeholder="robbery, homicide, narcotics" />
+      </div>
+      <div>
+        <label className="text-sm">Description</label>
+        <TextArea value={description} onChange={(e) => setDescription(e.target.value)} rows={6} />
+        <div className="mt-1 text-xs text-black/50">{MARKDOWN_HINT}</div>
+      </div>
+      <div className="flex items-center gap-2 justify-end">
+        <PrimaryButton type="submit">Save</PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+function EvidenceForm({ initial, settings, knownTags, onSubmit }) {
+  const [title, setTitle] = useState(initial?.title || "");
+  const [type, setType] = useState(initial?.type || settings.evidenceTypes[0]);
+  const [summary, setSummary] = useState(initial?.summary || "");
+  const [tags, setTags] = useState((initial?.tags || []).join(", "));
+  const [custom, setCustom] = useState(initial?.custom || {});
+  const fields = settings.customFields.evidence;
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        const payload = {
+          title: title.trim(),
+          type,
+          summary: summary.trim(),
+          tags: normalizeTags(tags.split(","), knownTags),
+          custom: cleanCustomValues(fields, custom),
+        };
+        onSubmit(payload);
+      }}
+      className="space-y-3"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="text-sm">Title</label>
+          <Input value={title} onChange={(e) => setTitle(e.target.value)} required />
+        </div>
+        <div>
+          <label className="text-sm">Type</label>
+          <select className="w-full rounded-2xl border border-black/10 px-3 py-2" value={type} onChange={(e) => setType(e.target.value)}>
+            {withCurrent(settings.evidenceTypes, initial?.type).map((t) => (
+              <option key={t}>{t}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <CustomFieldInputs fields={fields} values={custom} onChange={(id, value) => setCustom((c) => ({ ...c, [id]: value }))} />
+      <div>
+        <label className="text-sm">Tags (comma separated)</label>
+        <TagInput value={tags} onChange={setTags} suggestions={knownTags} placeholder="CCTV, 9mm, DNA" />
+      </div>
+      <div>
+        <label className="text-sm">Summary</label>
+        <TextArea value={summary} onChange={(e) => setSummary(e.target.value)} rows={5} />
+        <div className="mt-1 text-xs text-black/50">{MARKDOWN_HINT}</div>
+      </div>
+      <div className="flex items-center gap-2 justify-end">
+        <PrimaryButton type="submit">Save</PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+const emptyCustody = () => ({ releasedBy: "", receivedBy: "", location: "", purpose: "", initials: "" });
+const emptyOccurred = () => ({ at: "", timeZone: LOCAL_TIME_ZONE });
+const TIME_ZONES = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [LOCAL_TIME_ZONE];
+const dispositionInput = (d) => ({ to: d.state, reviewAt: d.reviewAt != null ? toDateTimeInput(d.reviewAt).slice(0, 10) : "" });
+
+// Entries are stamped with the signed-in profile by the caller; `author` is only shown.
+function EntryForm({ onSubmit, custodian, disposition, author }) {
+  const [body, setBody] = useState("");
+  const [kind, setKind] = useState("note");
+  const [custody, setCustody] = useState(emptyCustody);
+  const [occurred, setOccurred] = useState(emptyOccurred);
+  const [change, setChange] = useState(() => dispositionInput(disposition));
+  const [attachments, setAttachments] = useState([{ label: "", url: "" }]);
+  const [files, setFiles] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const filePickerRef = useRef(null);
+
+  function chooseKind(next) {
+    setKind(next);
+    // The next hand-off normally starts from whoever holds the item now.
+    if (next === "custody") {
+      setCustody((c) => ({ ...emptyCustody(), ...c, releasedBy: c.releasedBy || custodian?.receivedBy || "" }));
+      // A hand-off is usually recorded as it happens.
+      setOccurred((o) => ({ ...o, at: o.at || isoInZone(Date.now(), o.timeZone).slice(0, 16) }));
+    }
+    if (next === "disposition") setChange(dispositionInput(disposition));
+  }
+
+  function updateCustody(field, value) {
+    setCustody((c) => ({ ...c, [field]: value }));
+  }
+
+  function addFiles(list) {
+    setFiles((prev) => [...prev, ...Array.from(list || [])]);
+  }
+
+  function removeFile(i) {
+    setFiles((prev) => prev.filter((_, idx) => idx !== i));
+  }
+
+  function addAttachment() {
+    setAttachments((a) => [...a, { label: "", url: "" }]);
+  }
+
+  function updateAttachment(i, field, value) {
+    setAttachments((prev) => prev.map((att, idx) => (idx === i ? { ...att, [field]: value } : att)));
+  }
+
+  function removeAttachment(i) {
+    setAttachments((prev) => prev.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <form
+      onSubmit={async (e) => {
+        e.preventDefault();
+        // For a custody transfer, when it occurred is the time of the hand-off (now, if left empty);
+        // other entries only get an occurred-at time when one is entered.
+        const occurredAt = occurred.at ? fromZonedInput(occurred.at, occurred.timeZone) : kind === "custody" ? Date.now() : null;
+        if (kind === "custody" && (!custody.releasedBy.trim() || !custody.receivedBy.trim() || !custody.location.trim())) {
+          return alert("Released by, received by and location are required");
+        }
+        if (occurredAt !== null && !Number.isFinite(occurredAt)) return alert(kind === "custody" ? "Enter the date and time of the transfer" : "Enter when it occurred");
+        if (occurredAt > Date.now() + 60000) return alert("The occurred-at time is in the future");
+        // Review dates are days; an item becomes due at the start of its day.
+        const reviewAt = change.reviewAt && !isFinalDisposition(change.to) ? new Date(`${change.reviewAt}T00:00`).getTime() : null;
+        if (kind === "disposition") {
+          if (change.to === disposition.state && reviewAt === disposition.reviewAt) return alert("Choose a new state or review date");
+          if (!body.trim()) return alert("A disposition change needs a justification");
+        }
+        setSaving(true);
+        try {
+          // Files are hashed and stored before the entry is sealed, so an entry never points at a missing blob.
+          const stored = await Promise.all(files.map(describeFile));
+          await putFiles(files.map((blob, i) => ({ sha256: stored[i].sha256, blob })));
+          const payload = {
+            ...(occurredAt !== null ? { occurredAt, timeZone: occurred.timeZone } : {}),
+            body: body.trim(),
+            attachments: [
+              ...attachments.map((a) => ({ label: a.label.trim() || a.url.trim(), url: a.url.trim() })).filter((a) => a.url),
+              ...stored,
+            ],
+          };
+          if (kind === "custody") {
+            payload.kind = "custody";
+            payload.custody = {
+              releasedBy: custody.releasedBy.trim(),
+              receivedBy: custody.receivedBy.trim(),
+              location: custody.location.trim(),
+              purpose: custody.purpose.trim(),
+              at: occurredAt,
+              initials: custody.initials.trim(),
+            };
+          }
+          if (kind === "disposition") Object.assign(payload, dispositionData(disposition.state, change.to, payload.body, reviewAt));
+          await onSubmit(payload);
+          setBody("");
+          setKind("note");
+          setCustody(emptyCustody());
+          setOccurred(emptyOccurred());
+          setAttachments([{ label: "", url: "" }]);
+          setFiles([]);
+        } catch (err) {
+          alert("Entry not saved: " + (err?.name === "QuotaExceededError" ? describeStorageError(err) : err.message));
+        } finally {
+          setSaving(false);
+        }
+      }}
+      className="space-y-3"
+    >
+      <div className="flex gap-2">
+        <Button type="button" className={kind === "note" ? "border-black" : ""} onClick={() => chooseKind("note")}>Note</Button>
+        <Button type="button" className={kind === "custody" ? "border-black" : ""} onClick={() => chooseKind("custody")}>Custody transfer</Button>
+        <Button
+          type="button"
+          className={kind === "disposition" ? "border-black" : ""}
+          disabled={isFinalDisposition(disposition.state)}
+          title={isFinalDisposition(disposition.state) ? `${dispositionLabel(disposition.state)} is final` : undefined}
+          onClick={() => chooseKind("disposition")}
+        >
+          Disposition
+        </Button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="text-sm">Author</label>
+          <Input value={author} readOnly />
+        </div>
+        <div>
+          <label className="text-sm">Recorded at</label>
+          <Input value={new Date().toLocaleString()} readOnly />
+        </div>
+        <div>
+          <label className="text-sm">{kind === "custody" ? "Date & time of transfer" : "Occurred at (optional)"}</label>
+          <Input type="datetime-local" value={occurred.at} onChange={(e) => setOccurred((o) => ({ ...o, at: e.target.value }))} />
+        </div>
+        <div>
+          <label className="text-sm">Time zone</label>
+          <select className="w-full rounded-2xl border border-black/10 px-3 py-2" value={occurred.timeZone} onChange={(e) => setOccurred((o) => ({ ...o, timeZone: e.target.value }))}>
+            {withCurrent(TIME_ZONES, occurred.timeZone).map((z) => (
+              <option key={z}>{z}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {kind === "custody" && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <label className="text-sm">Released by</label>
+            <Input value={custody.releasedBy} onChange={(e) => updateCustody("releasedBy", e.target.value)} placeholder="Current holder" />
+          </div>
+          <div>
+            <label className="text-sm">Received by</label>
+            <Input value={custody.receivedBy} onChange={(e) => updateCustody("receivedBy", e.target.value)} placeholder="New holder" />
+          </div>
+          <div>
+            <label className="text-sm">Location</label>
+            <Input value={custody.location} onChange={(e) => updateCustody("location", e.target.value)} placeholder="Evidence locker 3, Mission Row" />
+          </div>
+          <div>
+            <label className="text-sm">Purpose</label>
+            <Input value={custody.purpose} onChange={(e) => updateCustody("purpose", e.target.value)} placeholder="Storage / lab analysis / court" />
+          </div>
+          <div>
+            <label className="text-sm">Signature / initials</label>
+            <Input value={custody.initials} onChange={(e) => updateCustody("initials", e.target.value)} placeholder="J.D." />
+          </div>
+        </div>
+      )}
+      {kind === "disposition" && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <label className="text-sm">State</label>
+            <select className="w-full rounded-2xl border border-black/10 px-3 py-2" value={change.to} onChange={(e) => setChange((c) => ({ ...c, to: e.target.value }))}>
+              <option value={disposition.state}>{dispositionLabel(disposition.state)} (no change)</option>
+              {nextDispositions(disposition.state).map((state) => (
+                <option key={state} value={state}>{dispositionLabel(state)}</option>
+              ))}
+            </select>
+          </div>
+          {!isFinalDisposition(change.to) && (
+            <div>
+              <label className="text-sm">Review / retention date</label>
+              <Input type="date" value={change.reviewAt} onChange={(e) => setChange((c) => ({ ...c, reviewAt: e.target.value }))} />
+            </div>
+          )}
+        </div>
+      )}
+      <div>
+        <label className="text-sm">{kind === "disposition" ? "Justification" : "Note"}</label>
+        <TextArea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={kind === "note" ? 5 : 2}
+          placeholder={
+            kind === "custody" ? "Condition, seal number... (optional)" : kind === "disposition" ? "Why the item is moving (required)" : "What was found / where stored..."
+          }
+        />
+        <div className="mt-1 text-xs text-black/50">{MARKDOWN_HINT}</div>
+      </div>
+      <div>
+        <div className="flex items-center justify-between">
+          <label className="text-sm">Attachments</label>
+          <Button type="button" onClick={addAttachment}>+ Add</Button>
+        </div>
+        <div className="space-y-2 mt-2">
+          {attachments.map((att, i) => (
+            <div key={i} className="grid grid-cols-1 md:grid-cols-12 gap-2">
+              <Input className="md:col-span-3" placeholder="Label (optional)" value={att.label} onChange={(e) => updateAttachment(i, "label", e.target.value)} />
+              <Input className="md:col-span-8" placeholder="https://link-to-file-or-image" value={att.url} onChange={(e) => updateAttachment(i, "url", e.target.value)} />
+              <Button type="button" className="md:col-span-1" onClick={() => removeAttachment(i)}>✕</Button>
+            </div>
+          ))}
+        </div>
+        <div
+          className={`mt-2 rounded-2xl border-2 border-dashed p-3 text-sm text-center text-black/60 ${dragging ? "border-black bg-black/5" : "border-black/20"}`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            addFiles(e.dataTransfer.files);
+          }}
+        >
+          Drop photos, scans or documents here, or{" "}
+          <button type="button" className="underline" onClick={() => filePickerRef.current?.click()}>choose files</button>
+          <input
+            ref={filePickerRef}
+            type="file"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = "";
+            }}
+          />
+        </div>
+        <div className="space-y-1 mt-2">
+          {files.map((f, i) => (
+            <div key={i} className="flex items-center justify-between gap-2 text-sm">
+              <span className="truncate">{f.name} <span className="text-black/50">({formatBytes(f.size)})</span></span>
+              <Button type="button" onClick={() => removeFile(i)}>✕</Button>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center gap-2 justify-end">
+        <PrimaryButton type="submit" disabled={saving}>{saving ? "Saving…" : "Add Entry"}</PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+// ---- Attachments ----
+function StoredFile({ attachment: a }) {
+  const file = useStoredFile(a.sha256);
+  return (
+    <div>
+      {file.url ? (
+        <a className="underline break-all" href={file.url} download={a.name}>{a.label || a.name}</a>
+      ) : (
+        <span className="break-all">{a.label || a.name}</span>
+      )}
+      <span className="text-xs text-black/50"> • {formatBytes(a.size)} • {a.type}</span>
+      {file.status === "ok" && <span className="text-xs text-green-700" title={a.sha256}> • ✓ sha256 {a.sha256.slice(0, 12)}</span>}
+      {file.status === "mismatch" && <span className="text-xs text-red-700"> • ✕ stored file does not match its SHA-256</span>}
+      {file.status === "missing" && <span className="text-xs text-red-700"> • file is not stored in this browser</span>}
+      {file.status === "error" && <span className="text-xs text-red-700"> • {file.message}</span>}
+      {file.url && a.type?.startsWith("image/") && <img src={file.url} alt={a.name} className="mt-1 max-h-48 rounded-xl border border-black/10" />}
+      {file.url && a.type === "application/pdf" && <iframe title={a.name} src={file.url} className="mt-1 w-full h-64 rounded-xl border border-black/10" />}
+    </div>
+  );
+}
+
+const AttachmentView = ({ attachment: a }) =>
+  a.sha256 ? (
+    <StoredFile attachment={a} />
+  ) : (
+    <a className="underline break-all" href={a.url} target="_blank" rel="noreferrer">{a.label || a.url}</a>
+  );
+
+// ---- Timeline view ----
+function InvestigationTimeline({ investigation, evidence, onOpenEntry }) {
+  const items = useMemo(() => timelineItems(investigation.id, evidence), [investigation.id, evidence]);
+  const [zoom, setZoom] = useState("day");
+  const [author, setAuthor] = useState("");
+  const [type, setType] = useState("");
+  const [tag, setTag] = useState("");
+
+  const options = useMemo(() => {
+    const uniq = (list) => [...new Set(list)].filter(Boolean).sort();
+    return {
+      authors: uniq(items.map((i) => i.entry.author)),
+      types: uniq(items.map((i) => i.evidence.type)),
+      tags: uniq(items.flatMap((i) => i.evidence.tags || [])),
+    };
+  }, [items]);
+
+  const visible = items.filter(
+    (i) => (!author || i.entry.author === author) && (!type || i.evidence.type === type) && (!tag || (i.evidence.tags || []).includes(tag))
+  );
+  const groups = groupTimeline(visible, zoom);
+  const select = (value, onChange, label, list) => (
+    <select className="rounded-2xl border border-black/10 px-3 py-2 text-sm" value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value="">{label}</option>
+      {list.map((x) => (
+        <option key={x} value={x}>{x}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {select(author, setAuthor, "All authors", options.authors)}
+        {select(type, setType, "All types", options.types)}
+        {select(tag, setTag, "All tags", options.tags)}
+        <div className="ml-auto flex gap-1">
+          <Button className={zoom === "day" ? "border-black" : ""} onClick={() => setZoom("day")}>Day</Button>
+          <Button className={zoom === "week" ? "border-black" : ""} onClick={() => setZoom("week")}>Week</Button>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-3 text-xs text-black/60">
+        {options.types.map((t) => (
+          <span key={t} className="flex items-center gap-1">
+            <span className={`inline-block w-2.5 h-2.5 rounded-full ${typeColor(t)}`} /> {t}
+          </span>
+        ))}
+      </div>
+      <div className="space-y-4 max-h-[65vh] overflow-auto pr-1">
+        {groups.map((g) => (
+          <div key={g.start}>
+            <div className="sticky top-0 bg-white/90 backdrop-blur text-sm font-semibold py-1">
+              {bucketLabel(g.start, zoom)} <span className="font-normal text-black/50">({g.items.length})</span>
+            </div>
+            <ol className="border-l-2 border-black/10 ml-2">
+              {g.items.map(({ evidence: ev, entry: en, at }) => (
+                <li key={en.id} className="relative pl-5 py-1.5">
+                  <span className={`absolute -left-[7px] top-3 w-3 h-3 rounded-full ring-2 ring-white ${typeColor(ev.type)}`} />
+                  <button className="w-full text-left rounded-xl p-2 hover:bg-black/5" onClick={() => onOpenEntry(ev.id, en.id)}>
+                    <div className="flex items-center justify-between gap-2 text-xs text-black/60">
+                      <span className="truncate">
+                        <span className="font-medium text-black/80">{ev.title}</span> • {ev.type} • {en.author}
+                      </span>
+                      <span className="whitespace-nowrap">{zoom === "day" ? new Date(at).toLocaleTimeString() : formatDate(at)}</span>
+                    </div>
+                    {isCustodyEntry(en) && <div className="text-sm">Custody: {custodySummary(en.custody)}</div>}
+                    {isDispositionEntry(en) && <div className="text-sm">Disposition: {dispositionSummary(en.disposition)}</div>}
+                    {isAmendment(en) && <div className="text-sm">Amendment: {en.amendment.reason}</div>}
+                    {en.body && <div className="text-sm line-clamp-2 whitespace-pre-wrap">{markdownPlain(en.body)}</div>}
+                    {!!(en.attachments || []).length && <div className="text-xs text-black/50">{en.attachments.length} attachment(s)</div>}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+        {!groups.length && <div className="text-sm text-black/60">{items.length ? "No entries match the filters." : "No entries in this investigation yet."}</div>}
+      </div>
+    </div>
+  );
+}
+
+// ---- Case report options ----
+function ReportOptions({ investigation, evidence, onGenerate }) {
+  const types = useMemo(() => [...new Set(evidence.filter((e) => e.investigationId === investigation.id).map((e) => e.type))].sort(), [evidence, investigation.id]);
+  const [selectedTypes, setSelectedTypes] = useState(types);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  function toggleType(t) {
+    setSelectedTypes((prev) => (prev.includes(t) ? prev.filter((x) => x !== t) : [...prev, t]));
+  }
+
+  function generate(action) {
+    // Date inputs are local calendar days; the range covers both days in full.
+    const start = from ? new Date(`${from}T00:00:00`).getTime() : null;
+    const end = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+    if (start != null && end != null && start > end) return alert("The start date is after the end date");
+    onGenerate({ types: selectedTypes.length === types.length ? null : selectedTypes, from: start, to: end }, action);
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="text-sm">Evidence types</label>
+        <div className="mt-1 flex flex-wrap gap-3">
+          {types.map((t) => (
+            <label key={t} className="text-sm flex items-center gap-1">
+              <input type="checkbox" checked={selectedTypes.includes(t)} onChange={() => toggleType(t)} /> {t}
+            </label>
+          ))}
+          {!types.length && <span className="text-sm text-black/60">This investigation has no evidence yet.</span>}
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="text-sm">Entries from</label>
+          <Input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div>
+          <label className="text-sm">Entries to</label>
+          <Input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </div>
+      </div>
+      <div className="flex items-center gap-2 justify-end">
+        <Button onClick={() => generate("download")}>Download HTML</Button>
+        <PrimaryButton onClick={() => generate("print")}>Open for printing</PrimaryButton>
+      </div>
+    </div>
+  );
+}
+
+// ---- Amend & redact views ----
+// `item` is a thread item from threadView, already masked.
+function AmendForm({ item, onSubmit }) {
+  const [body, setBody] = useState(item.body);
+  const [reason, setReason] = useState("");
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (body.trim() === item.body.trim()) return alert("Change the text to amend the entry");
+        if (!reason.trim()) return alert("Give a reason for the amendment");
+        onSubmit({ body: body.trim(), reason: reason.trim() });
+      }}
+      className="space-y-3"
+    >
+      <div className="text-sm text-black/60">The current text stays in the thread, struck through, with your reason.</div>
+      <div>
+        <label className="text-sm">Corrected text</label>
+        <TextArea value={body} onChange={(e) => setBody(e.target.value)} rows={6} />
+        <div className="mt-1 text-xs text-black/50">{MARKDOWN_HINT}</div>
+      </div>
+      <div>
+        <label className="text-sm">Reason</label>
+        <Input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Typo in plate number" required />
+      </div>
+      <div className="flex justify-end">
+        <PrimaryButton type="submit">Amend</PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+// Select text in any version of the entry and add it; every occurrence is masked.
+function RedactForm({ item, onSubmit }) {
+  const [texts, setTexts] = useState([]);
+  const [selection, setSelection] = useState("");
+  const [reason, setReason] = useState("");
+  const select = (e) => setSelection(e.target.value.slice(e.target.selectionStart, e.target.selectionEnd).trim());
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!texts.length) return alert("Select the text to redact and add it");
+        onSubmit({ texts, reason: reason.trim() });
+      }}
+      className="space-y-3"
+    >
+      <div className="text-sm text-black/60">Redacted text is masked in the app and in exports. Only a full export keeps the original.</div>
+      {[item.body, ...item.versions.map((v) => v.body).reverse()].map((text, i) => (
+        <div key={i}>
+          <label className="text-sm">{i ? `Earlier version ${item.versions.length - i + 1}` : "Text"}</label>
+          <TextArea value={text} readOnly rows={4} onSelect={select} />
+        </div>
+      ))}
+      <div className="flex items-center gap-2">
+        <div className="flex-1 text-sm truncate">{selection ? `“${selection}”` : <span className="text-black/50">Nothing selected</span>}</div>
+        <Button type="button" disabled={!selection || texts.includes(selection)} onClick={() => setTexts((t) => [...t, selection])}>
+          Add selection
+        </Button>
+      </div>
+      {!!texts.length && (
+        <div className="flex flex-wrap gap-1">
+          {texts.map((t) => (
+            <span key={t} className="text-xs px-2 py-0.5 rounded-full border border-black/10 bg-black/5">
+              {t} <button type="button" onClick={() => setTexts((list) => list.filter((x) => x !== t))}>✕</button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div>
+        <label className="text-sm">Reason (optional)</label>
+        <Input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Witness personal details" />
+      </div>
+      <div className="flex justify-end">
+        <PrimaryButton type="submit">Redact</PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+const EntryVersions = ({ versions, redactions }) => (
+  <>
+    {versions.map(({ body, amendment: a }) => (
+      <div key={a.id} className="mt-2 text-sm text-black/50">
+        <div className="line-through whitespace-pre-wrap">{body}</div>
+        <div className="text-xs">
+          Amended by {a.author} on {formatDate(a.timestamp)}: {a.amendment.reason}
+        </div>
+      </div>
+    ))}
+    {redactions.map((r) => (
+      <div key={r.id} className="mt-1 text-xs text-black/50">
+        {r.redaction.texts.length} passage(s) redacted by {r.author} on {formatDate(r.timestamp)}
+        {r.redaction.reason && `: ${r.redaction.reason}`}
+      </div>
+    ))}
+  </>
+);
+
+// ---- Custody views ----
+const CustodyDetails = ({ custody: c }) => (
+  <div className="mt-1 rounded-xl bg-black/5 p-2 text-sm grid grid-cols-2 gap-x-3 gap-y-0.5">
+    <div className="col-span-2 text-xs font-medium uppercase tracking-wide text-black/60">Custody transfer • {formatDate(c.at)}</div>
+    {CUSTODY_FIELDS.filter(([field]) => c[field]).map(([field, label]) => (
+      <div key={field}>
+        <span className="text-black/60">{label}:</span> {c[field]}
+      </div>
+    ))}
+  </div>
+);
+
+const CustodianLine = ({ evidence }) => {
+  const current = currentCustody(evidence);
+  return (
+    <div className="mt-1 text-xs text-black/60 truncate">
+      {current ? (
+        <>
+          Custodian: <span className="font-medium text-black/80">{current.receivedBy}</span> @ {current.location}
+        </>
+      ) : (
+        "No custody transfers recorded"
+      )}
+    </div>
+  );
+};
+
+const DispositionDetails = ({ disposition: d }) => (
+  <div className="mt-1 rounded-xl bg-black/5 p-2 text-sm">
+    <div className="text-xs font-medium uppercase tracking-wide text-black/60">Disposition</div>
+    {dispositionSummary(d)}
+    {d.reviewAt != null && !isFinalDisposition(d.to) && <span className="text-black/60"> • review by {formatDate(d.reviewAt)}</span>}
+  </div>
+);
+
+const DispositionLine = ({ evidence }) => {
+  const d = currentDisposition(evidence);
+  const due = d.reviewAt != null && d.reviewAt <= Date.now();
+  return (
+    <div className="mt-1 text-xs text-black/60 truncate">
+      <span className="font-medium text-black/80">{dispositionLabel(d.state)}</span>
+      {d.reviewAt != null && <span className={due ? "text-amber-700 font-medium" : ""}> • review by {formatDate(d.reviewAt)}</span>}
+    </div>
+  );
+};
+
+function CustodyReport({ evidence, onOpenEntry }) {
+  const report = custodyReport(evidence);
+  const gapCount = report.filter((r) => r.gaps.length).length;
+  const current = currentCustody(evidence);
+  return (
+    <div className="space-y-3">
+      <div className="text-sm">
+        {current ? (
+          <>
+            Current custodian: <span className="font-semibold">{current.receivedBy}</span> at <span className="font-semibold">{current.location}</span> since {formatDate(current.at)}
+          </>
+        ) : (
+          "No custody transfers recorded."
+        )}
+      </div>
+      {!!gapCount && <div className="rounded-xl border border-amber-300 bg-amber-50 p-2 text-sm text-amber-900">{gapCount} hand-off(s) with gaps in custody.</div>}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-black/60 border-b border-black/10">
+            <th className="py-1 pr-2">#</th>
+            <th className="py-1 pr-2">When</th>
+            <th className="py-1 pr-2">Released by</th>
+            <th className="py-1 pr-2">Received by</th>
+            <th className="py-1 pr-2">Location</th>
+            <th className="py-1 pr-2">Purpose</th>
+            <th className="py-1">Initials</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.map(({ entry, custody: c, gaps }, i) => (
+            <React.Fragment key={entry.id}>
+              {gaps.map((g) => (
+                <tr key={g} className="bg-amber-50 text-amber-900">
+                  <td />
+                  <td colSpan={6} className="py-1">⚠ {g}</td>
+                </tr>
+              ))}
+              <tr className="border-b border-black/5 align-top cursor-pointer hover:bg-black/5" onClick={() => onOpenEntry(entry.id)}>
+                <td className="py-1 pr-2">{i + 1}</td>
+                <td className="py-1 pr-2 whitespace-nowrap">{formatDate(c.at)}</td>
+                <td className="py-1 pr-2">{c.releasedBy}</td>
+                <td className="py-1 pr-2">{c.receivedBy}</td>
+                <td className="py-1 pr-2">{c.location}</td>
+                <td className="py-1 pr-2">{c.purpose}</td>
+                <td className="py-1">{c.initials}</td>
+              </tr>
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ---- Entity views ----
+function EntityForm({ initial, onSubmit }) {
+  const [kind, setKind] = useState(initial?.kind || "person");
+  const [name, setName] = useState(initial?.name || "");
+  const [aliases, setAliases] = useState((initial?.aliases || []).join(", "));
+  const [details, setDetails] = useState(initial?.details || "");
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit({
+          kind,
+          name: name.trim(),
+          aliases: aliases
+            .split(",")
+            .map((a) => a.trim())
+            .filter(Boolean),
+          details: details.trim(),
+        });
+      }}
+      className="space-y-3"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="text-sm">Kind</label>
+          <select className="w-full rounded-2xl border border-black/10 px-3 py-2" value={kind} onChange={(e) => setKind(e.target.value)}>
+            {ENTITY_KINDS.map(([k, label]) => (
+              <option key={k} value={k}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-sm">Name</label>
+          <Input value={name} onChange={(e) => setName(e.target.value)} placeholder="John Doe / 46EEK572 / Legion Square" required />
+        </div>
+      </div>
+      <div>
+        <label className="text-sm">Aliases (comma separated)</label>
+        <Input value={aliases} onChange={(e) => setAliases(e.target.value)} />
+      </div>
+      <div>
+        <label className="text-sm">Details</label>
+        <TextArea value={details} onChange={(e) => setDetails(e.target.value)} rows={3} placeholder="Description, DOB, plate, address..." />
+      </div>
+      <div className="flex justify-end">
+        <PrimaryButton type="submit">Save</PrimaryButton>
+      </div>
+    </form>
+  );
+}
+
+// Linked entities as chips, plus a picker that links an existing entity or creates a new one.
+function EntityLinker({ linked, entities, onLink, onUnlink, compact = false, readOnly = false }) {
+  const [open, setOpen] = useState(!compact);
+  const [text, setText] = useState("");
+  const [kind, setKind] = useState("person");
+  const listId = useMemo(() => `entity-options-${uuid()}`, []);
+
+  function submit() {
+    const value = text.trim();
+    if (!value) return;
+    const lower = value.toLowerCase();
+    const byLabel = entities.find((e) => entityLabel(e).toLowerCase() === lower);
+    const byName = entities.filter((e) => e.name.toLowerCase() === lower || (e.aliases || []).some((a) => a.toLowerCase() === lower));
+    const match = byLabel || (byName.length === 1 ? byName[0] : null);
+    if (!match && byName.length > 1) return alert(`Several entities are called "${value}". Pick one from the list.`);
+    onLink(match ? match.id : { kind, name: value, aliases: [], details: "" });
+    setText("");
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {linked.map(({ link, entity }) => (
+        <span key={link.id} className="inline-flex items-center gap-1 rounded-full border border-black/10 bg-black/5 px-2 py-0.5 text-xs">
+          <span className="text-black/50">{entityKindLabel(entity.kind)}:</span> {entity.name}
+          {!readOnly && (
+            <button type="button" className="text-black/50 hover:text-black" title="Unlink" onClick={() => onUnlink(link.id)}>✕</button>
+          )}
+        </span>
+      ))}
+      {readOnly ? null : open ? (
+        <span className="inline-flex items-center gap-1">
+          <input
+            className="rounded-xl border border-black/10 px-2 py-0.5 text-xs w-40"
+            list={listId}
+            placeholder="Link person, vehicle…"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                submit();
+              }
+            }}
+          />
+          <datalist id={listId}>
+            {entities.map((e) => (
+              <option key={e.id} value={entityLabel(e)} />
+            ))}
+          </datalist>
+          <select className="rounded-xl border border-black/10 px-1 py-0.5 text-xs" value={kind} onChange={(e) => setKind(e.target.value)} title="Kind, if this creates a new entity">
+            {ENTITY_KINDS.map(([k, label]) => (
+              <option key={k} value={k}>{label}</option>
+            ))}
+          </select>
+          <button type="button" className="text-xs underline" onClick={submit}>Link</button>
+        </span>
+      ) : (
+        <button type="button" className="text-xs text-black/50 underline" onClick={() => setOpen(true)}>+ Link entity</button>
+      )}
+    </div>
+  );
+}
+
+function EntityPage({ entity, references, onEdit, onDelete, onOpen, readOnly = false }) {
+  const count = references.investigations.length + references.evidence.length + references.entries.length;
+  return (
+    <div className="space-y-3">
+      <div className="flex items-start gap-3">
+        <div className="flex-1">
+          <div className="text-xs text-black/60">{entityKindLabel(entity.kind)}</div>
+          <h4 className="text-lg font-semibold">{entity.name}</h4>
+          {!!(entity.aliases || []).length && <div className="text-sm text-black/60">aka {entity.aliases.join(", ")}</div>}
+          {entity.details && <p className="mt-1 text-sm whitespace-pre-wrap">{entity.details}</p>}
+        </div>
+        {!readOnly && (
+          <div className="flex flex-col gap-2">
+            <Button onClick={onEdit}>Edit</Button>
+            <Button onClick={onDelete}>Delete</Button>
+          </div>
+        )}
+      </div>
+      <div className="text-sm font-semibold">Referenced in {count} place(s)</div>
+      <div className="space-y-1 text-sm">
+        {references.investigations.map((inv) => (
+          <button key={inv.id} className="block w-full text-left rounded-xl px-2 py-1 hover:bg-black/5" onClick={() => onOpen(inv.id)}>
+            <Tag>case</Tag>{inv.title}{inv.caseNumber ? ` #${inv.caseNumber}` : ""}
+          </button>
+        ))}
+        {references.evidence.map(({ investigation: inv, evidence: ev }) => (
+          <button key={ev.id} className="block w-full text-left rounded-xl px-2 py-1 hover:bg-black/5" onClick={() => onOpen(inv.id, ev.id)}>
+            <Tag>evidence</Tag>{ev.title} <span className="text-black/50">in {inv.title}</span>
+          </button>
+        ))}
+        {references.entries.map(({ investigation: inv, evidence: ev, entry: en }) => (
+          <button key={en.id} className="block w-full text-left rounded-xl px-2 py-1 hover:bg-black/5" onClick={() => onOpen(inv.id, ev.id, en.id)}>
+            <Tag>entry</Tag>
+            {formatDate(en.timestamp)} by {en.author} <span className="text-black/50">in {ev.title} / {inv.title}</span>
+            {en.body && <div className="text-xs text-black/60 line-clamp-1">{markdownPlain(en.body)}</div>}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function EntityRegistry({ db, entities, onCreate, onUpdate, onDelete, onOpen, readOnly = false }) {
+  const [filter, setFilter] = useState("");
+  const [kind, setKind] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null); // null | "new" | entity
+  const selected = entities.find((e) => e.id === selectedId) || null;
+  const linkCounts = useMemo(() => {
+    const counts = new Map();
+    db.entityLinks.forEach((l) => !l.removedAt && counts.set(l.entityId, (counts.get(l.entityId) || 0) + 1));
+    return counts;
+  }, [db.entityLinks]);
+  const q = filter.trim().toLowerCase();
+  const visible = entities
+    .filter((e) => (!kind || e.kind === kind) && (!q || [e.name, ...(e.aliases || []), e.details].some((s) => (s || "").toLowerCase().includes(q))))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  if (editing) {
+    return (
+      <>
+        {editing !== "new" && (
+          <StaleRecordWarning snapshot={editing} live={db.entities.find((e) => e.id === editing.id)} onReload={setEditing} />
+        )}
+        <EntityForm
+          key={editing === "new" ? "new" : `${editing.id}-${editing.updatedAt}`}
+          initial={editing === "new" ? null : editing}
+          onSubmit={(data) => {
+            if (editing === "new") setSelectedId(onCreate(data));
+            else onUpdate(editing.id, data);
+            setEditing(null);
+          }}
+        />
+      </>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+      <div className="md:col-span-2 space-y-2">
+        <div className="flex gap-2">
+          <Input placeholder="Filter…" value={filter} onChange={(e) => setFilter(e.target.value)} />
+          {!readOnly && <PrimaryButton onClick={() => setEditing("new")}>+ New</PrimaryButton>}
+        </div>
+        <select className="w-full rounded-2xl border border-black/10 px-3 py-2 text-sm" value={kind} onChange={(e) => setKind(e.target.value)}>
+          <option value="">All kinds</option>
+          {ENTITY_KINDS.map(([k, label]) => (
+            <option key={k} value={k}>{label}</option>
+          ))}
+        </select>
+        <div className="space-y-1 max-h-[50vh] overflow-auto pr-1">
+          {visible.map((e) => (
+            <button
+              key={e.id}
+              className={`block w-full text-left rounded-xl border px-3 py-2 ${selectedId === e.id ? "border-black" : "border-black/10"}`}
+              onClick={() => setSelectedId(e.id)}
+            >
+              <div className="font-medium truncate">{e.name}</div>
+              <div className="text-xs text-black/60">{entityKindLabel(e.kind)} • {linkCounts.get(e.id) || 0} link(s)</div>
+            </button>
+          ))}
+          {!visible.length && <div className="text-sm text-black/60">No entities.</div>}
+        </div>
+      </div>
+      <div className="md:col-span-3">
+        {selected ? (
+          <EntityPage
+            entity={selected}
+            references={entityReferences(db, selected.id)}
+            onEdit={() => setEditing(selected)}
+            onDelete={() => {
+              onDelete(selected.id);
+              setSelectedId(null);
+            }}
+            onOpen={onOpen}
+            readOnly={readOnly}
+          />
+        ) : (
+          <div className="text-sm text-black/60">Select an entity to see every case and thread that references it.</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ---- History & trash views ----
+const RevisionList = ({ revisions }) => (
+  <div className="space-y-2 max-h-64 overflow-auto pr-1">
+    {revisions.map((r) => (
+      <div key={r.id} className="text-sm">
+        <div className="text-xs text-black/60">
+          {formatDate(r.at)} • {r.by} • <span className="font-medium text-black/80">{r.action}</span>
+        </div>
+        {!!r.changes.length && <ChangeList changes={r.changes} />}
+      </div>
+    ))}
+    {!revisions.length && <div className="text-sm text-black/60">No recorded changes.</div>}
+  </div>
+);
+
+// Restore and purge buttons are left out when the handler is not given.
+function TrashView({ db, onRestore, onPurge }) {
+  const invById = new Map(db.investigations.map((i) => [i.id, i]));
+  const deletedInvestigations = db.investigations.filter((i) => i.deletedAt);
+  // Evidence trashed along with its investigation is restored and purged through the investigation.
+  const deletedEvidence = db.evidence.filter((e) => e.deletedAt && !e.deletedWith);
+  const deletedEntities = db.entities.filter((e) => e.deletedAt);
+  const row = (recordType, rec, detail) => (
+    <div key={rec.id} className="rounded-xl border border-black/10 p-3 flex items-center gap-3">
+      <div className="flex-1 min-w-0">
+        <div className="font-semibold truncate">{rec.title || rec.name}</div>
+        <div className="text-xs text-black/60">{detail} • Deleted {formatDate(rec.deletedAt)} by {rec.deletedBy || "Unknown"}</div>
+      </div>
+      {onRestore && <Button onClick={() => onRestore(recordType, rec.id)}>Restore</Button>}
+      {onPurge && <Button onClick={() => onPurge(recordType, rec.id)}>Purge</Button>}
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="font-semibold mb-2">Investigations ({deletedInvestigations.length})</h4>
+        <div className="space-y-2">
+          {deletedInvestigations.map((i) =>
+            row("investigation", i, `${db.evidence.filter((e) => e.deletedWith === i.id).length} evidence thread(s)${i.caseNumber ? ` • #${i.caseNumber}` : ""}`)
+          )}
+        </div>
+      </div>
+      <div>
+        <h4 className="font-semibold mb-2">Evidence ({deletedEvidence.length})</h4>
+        <div className="space-y-2">
+          {deletedEvidence.map((e) => row("evidence", e, `${e.type} • in ${invById.get(e.investigationId)?.title || "unknown investigation"}`))}
+        </div>
+      </div>
+      <div>
+        <h4 className="font-semibold mb-2">Entities ({deletedEntities.length})</h4>
+        <div className="space-y-2">{deletedEntities.map((e) => row("entity", e, entityKindLabel(e.kind)))}</div>
+      </div>
+      {!deletedInvestigations.length && !deletedEvidence.length && !deletedEntities.length && <div className="text-sm text-black/60">Trash is empty.</div>}
+    </div>
+  );
+}
+
+// ---- CSV column mapping ----
+function CSVImportMapping({ pending, columns, onImport }) {
+  const [header, ...rows] = pending.rows;
+  const [mapping, setMapping] = useState(() => guessCSVMapping(header, columns));
+  const levels = [
+    ["investigation", "Investigation"],
+    ["evidence", "Evidence"],
+    ["entry", "Entry"],
+  ];
+  const unmapped = header.filter((_, i) => !Object.values(mapping).includes(i));
+
+  function submit() {
+    if (!["investigationId", "caseNumber", "investigationTitle"].some((k) => mapping[k] != null)) {
+      return alert("Map at least one of investigationId, caseNumber or investigationTitle.");
+    }
+    onImport(mapping);
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-black/70">
+        {rows.length} row(s). Choose the CSV column for each field; fields left unmapped keep their current value on existing records. Rows are matched to
+        existing investigations by id, case number or title.
       </div>
-      <div>
-        <label className="text-sm">Note</label>
-        <TextArea value={body} onChange={(e) => setBody(e.target.value)} rows={5} placeholder="What was found / chain of custody / where stored..." />
+      {levels.map(([level, label]) => (
+        <div key={level}>
+          <h4 className="font-semibold mb-2">{label}</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {columns
+              .filter((c) => c.level === level)
+              .map((c) => (
+                <label key={c.key} className="text-sm flex items-center gap-2">
+                  <span className="w-48 truncate" title={c.key}>{c.key}</span>
+                  <select
+                    className="flex-1 rounded-2xl border border-black/10 px-3 py-1"
+                    value={mapping[c.key] ?? ""}
+                    onChange={(e) =>
+                      setMapping((m) => {
+                        const next = { ...m, [c.key]: Number(e.target.value) };
+                        if (e.target.value === "") delete next[c.key];
+                        return next;
+                      })
+                    }
+                  >
+                    <option value="">— not imported —</option>
+                    {header.map((h, i) => (
+                      <option key={i} value={i}>
+                        {h || `Column ${i + 1}`}
+                        {rows[0]?.[i] ? ` (e.g. ${rows[0][i].slice(0, 30)})` : ""}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+          </div>
+        </div>
+      ))}
+      {!!unmapped.length && <div className="text-xs text-black/60">Ignored columns: {unmapped.join(", ")}</div>}
+      <div className="flex justify-end">
+        <PrimaryButton onClick={submit}>Review import</PrimaryButton>
       </div>
-      <div>
-        <div className="flex items-center justify-between">
-          <label className="text-sm">Attachments</label>
-          <Button type="button" onClick={addAttachment}>+ Add</Button>
+    </div>
+  );
+}
+
+// ---- Import review ----
+function previewValue(v, field) {
+  if (v == null || v === "") return "—";
+  if (typeof v === "number" && /At$/.test(field || "")) return formatDate(v);
+  const text = Array.isArray(v) ? v.join(", ") : typeof v === "object" ? JSON.stringify(v) : String(v);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+const ChangeList = ({ changes }) => (
+  <ul className="ml-4 text-xs text-black/70">
+    {changes.map((c) => (
+      <li key={c.field}>
+        <span className="font-medium">{c.field}</span>: <span className="line-through">{previewValue(c.from, c.field)}</span> → {previewValue(c.to, c.field)}
+      </li>
+    ))}
+  </ul>
+);
+
+function ImportReview({ pending, localCounts, onMerge, onReplace }) {
+  const [mode, setMode] = useState("merge");
+  const [resolutions, setResolutions] = useState({});
+  const { plan, problems } = pending;
+  const kinds = [
+    ["Investigation", plan.investigations],
+    ["Evidence", plan.evidence],
+    ["Entity", plan.entities],
+    ["Entity link", plan.entityLinks],
+    ["User", plan.users],
+  ];
+  const count = (key) => kinds.reduce((n, [, section]) => n + section[key].length, 0);
+  const newEntries = plan.entries.reduce((n, p) => n + p.added.length, 0);
+
+  return (
+    <div className="space-y-4">
+      {!!problems.length && (
+        <div className="rounded-2xl border border-red-300 bg-red-50 text-red-900 px-4 py-3 text-sm">
+          <div className="font-semibold">Integrity check failed for {problems.length} evidence thread(s)</div>
+          <ul className="list-disc ml-6">
+            {problems.map((p) => (
+              <li key={p.evidence.id}>{p.evidence.title || p.evidence.id}: {p.message}</li>
+            ))}
+          </ul>
         </div>
-        <div className="space-y-2 mt-2">
-          {attachments.map((att, i) => (
-            <div key={i} className="grid grid-cols-1 md:grid-cols-12 gap-2">
-              <Input className="md:col-span-3" placeholder="Label (optional)" value={att.label} onChange={(e) => updateAttachment(i, "label", e.target.value)} />
-              <Input className="md:col-span-8" placeholder="https://link-to-file-or-image" value={att.url} onChange={(e) => updateAttachment(i, "url", e.target.value)} />
-              <Button type="button" className="md:col-span-1" onClick={() => removeAttachment(i)}>✕</Button>
-            </div>
-          ))}
+      )}
+
+      {!!pending.warnings?.length && (
+        <div className="rounded-2xl border border-amber-300 bg-amber-50 text-amber-900 px-4 py-3 text-sm">
+          <ul className="list-disc ml-6">
+            {pending.warnings.map((w) => (
+              <li key={w}>{w}</li>
+            ))}
+          </ul>
         </div>
+      )}
+
+      <div className="flex gap-2">
+        <Button className={mode === "merge" ? "border-black" : ""} onClick={() => setMode("merge")}>Merge</Button>
+        <Button className={mode === "replace" ? "border-black" : ""} onClick={() => setMode("replace")}>Replace</Button>
       </div>
-      <div className="flex items-center gap-2 justify-end">
-        <PrimaryButton type="submit">Add Entry</PrimaryButton>
-      </div>
-    </form>
+
+      {mode === "merge" ? (
+        <>
+          <div className="text-sm">
+            {count("added")} new • {count("updated")} updated • {count("conflicts")} conflicts • {newEntries} new entries • {plan.revisions.length} history records •{" "}
+            {count("kept")} kept (local is newer) • {count("unchanged")} unchanged
+          </div>
+          <div className="max-h-[50vh] overflow-auto space-y-3 pr-1 text-sm">
+            {kinds.map(([kind, section]) =>
+              section.added.map((r) => (
+                <div key={r.id}><Tag>new</Tag>{kind}: {r.title || r.name || r.id}</div>
+              ))
+            )}
+            {kinds.map(([kind, section]) =>
+              section.updated.map(({ local, changes }) => (
+                <div key={local.id}>
+                  <Tag>update</Tag>{kind}: {local.title || local.name || local.id}
+                  <ChangeList changes={changes} />
+                </div>
+              ))
+            )}
+            {plan.entries.map((p) => (
+              <div key={p.evidenceId}>
+                <Tag>entries</Tag>{p.title}: {p.added.length} new {p.added.length === 1 ? "entry" : "entries"}
+                {!p.fastForward && <span className="text-xs text-black/60"> (both sides added entries; incoming ones are appended and re-sealed)</span>}
+              </div>
+            ))}
+            {kinds.map(([kind, section]) =>
+              section.conflicts.map(({ local, changes }) => (
+                <div key={local.id} className="rounded-xl border border-amber-300 bg-amber-50 p-2">
+                  <div><Tag>conflict</Tag>{kind}: {local.title || local.name || local.id}</div>
+                  <ChangeList changes={changes} />
+                  <div className="mt-1 flex gap-4 text-xs">
+                    <label><input type="radio" checked={resolutions[local.id] !== "incoming"} onChange={() => setResolutions((r) => ({ ...r, [local.id]: "local" }))} /> Keep mine</label>
+                    <label><input type="radio" checked={resolutions[local.id] === "incoming"} onChange={() => setResolutions((r) => ({ ...r, [local.id]: "incoming" }))} /> Take theirs</label>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+          <div className="flex justify-end">
+            <PrimaryButton onClick={() => onMerge(resolutions)}>Apply merge</PrimaryButton>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="text-sm">
+            Replace discards the {localCounts.investigations} investigations and {localCounts.evidence} evidence threads stored in this browser and loads the
+            file exactly as it is.
+          </div>
+          <div className="flex justify-end">
+            <PrimaryButton onClick={onReplace}>Replace all data</PrimaryButton>
+          </div>
+        </>
+      )}
+    </div>
   );
 }
 
 // ---- Main App ----
+// IndexedDB, through the same adapter scripts hand to openEvidenceDB.
+const storage = indexedDBStorage();
+
 export default function App() {
-  const [db, setDb] = useState(loadDB());
+  const [db, setDb] = useState(emptyDB);
+  const [loaded, setLoaded] = useState(false);
+  const [storageError, setStorageError] = useState(null);
   const [query, setQuery] = useState("");
   const [statusFilter, setStatusFilter] = useState("All");
   const [selected, setSelected] = useState(null); // investigation id
@@ -309,191 +2501,789 @@ export default function App() {
   const [showEvidenceModal, setShowEvidenceModal] = useState(false);
   const [editingEvidence, setEditingEvidence] = useState(null);
   const [activeEvidence, setActiveEvidence] = useState(null); // evidence id
+  const [focusedEntry, setFocusedEntry] = useState(null); // entry id opened from a search hit
+  const [pendingImport, setPendingImport] = useState(null); // parsed file awaiting merge/replace
+  const [importErrors, setImportErrors] = useState(null); // validation problems of a rejected file
+  const [csvImport, setCsvImport] = useState(null); // parsed CSV awaiting column mapping
+  const [showTrash, setShowTrash] = useState(false);
+  const [showInvestigationHistory, setShowInvestigationHistory] = useState(false);
+  const [showEvidenceHistory, setShowEvidenceHistory] = useState(false);
+  const [custodyReportFor, setCustodyReportFor] = useState(null); // evidence id
+  const [entryChange, setEntryChange] = useState(null); // { mode: "amend" | "redact", evidenceId, item }
+  const [showReportOptions, setShowReportOptions] = useState(false);
+  const [investigationTab, setInvestigationTab] = useState("evidence"); // evidence | timeline
+  const [showEntities, setShowEntities] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showTags, setShowTags] = useState(false);
+  const [locked, setLocked] = useState(false);
+  const [lock, setLock] = useState(null); // meta "lock" descriptor while encryption is on
+  const [showEncryption, setShowEncryption] = useState(false);
+  const [encryptExports, setEncryptExports] = useState(false);
+  const [passphraseRequest, setPassphraseRequest] = useState(null); // { title, confirm, resolve }
+  const [showSync, setShowSync] = useState(false);
+  const [syncStatus, setSyncStatus] = useState({ running: false, at: null, error: null });
+  const [online, setOnline] = useState(navigator.onLine);
+  const syncingRef = useRef(false);
+  const [showUsers, setShowUsers] = useState(false);
+  // Profile signed in on this browser; its label is recorded as "by" on revisions and deletions.
+  // Nobody counts as signed in while the data is (re)loading, so no edit can be made that the
+  // loaded data would then overwrite.
+  const [userId, setUserId] = useState(() => localStorage.getItem(CURRENT_USER_KEY) || "");
+  const currentUser = (loaded && db.users.find((u) => u.id === userId && !u.deletedAt)) || null;
+  const actorName = currentUser ? userLabel(currentUser) : "Unknown";
+  const canEdit = can(currentUser, "edit");
+
+  useEffect(() => localStorage.setItem(CURRENT_USER_KEY, userId), [userId]);
+
+  // Alerts and returns false when the signed-in role may not do `action`.
+  function permitted(action) {
+    if (can(currentUser, action)) return true;
+    if (!loaded) {
+      alert("The saved data is still loading. Try again in a moment.");
+      return false;
+    }
+    alert(`${currentUser ? roleLabel(currentUser.role) : "Signed-out"} profiles cannot do this.`);
+    return false;
+  }
+  const integrity = useChainIntegrity(db.evidence);
+
+  // Latest committed DB, for async operations that must read state after an await.
+  const dbRef = useRef(db);
+  dbRef.current = db;
+
+  // Last DB snapshot handed to storage.save; null forces a full rewrite on the next save.
+  const persistedRef = useRef(null);
+
+  // Loads (or reloads) the DB from IndexedDB, falling back to the unlock screen when it is encrypted.
+  function reloadFromStorage() {
+    setLoaded(false);
+    return Promise.all([storage.load(), readLock()])
+      .then(([stored, currentLock]) => {
+        persistedRef.current = stored;
+        setDb(stored);
+        setLock(currentLock);
+        setLoaded(true);
+      })
+      .catch((e) => {
+        if (e?.name === "StorageLockedError") return lockNow();
+        console.error("Failed to load DB", e);
+        setStorageError(describeStorageError(e));
+      });
+  }
+
+  useEffect(() => {
+    reloadFromStorage();
+  }, []);
+
+  // Drops the decrypted data from memory; the unlock screen reloads it.
+  function lockNow() {
+    lockStorage();
+    setLoaded(false);
+    persistedRef.current = null;
+    setDb(emptyDB());
+    setPendingImport(null);
+    setPassphraseRequest((request) => {
+      request?.resolve(null);
+      return null;
+    });
+    setLocked(true);
+  }
+
+  async function unlock(passphrase) {
+    await unlockStorage(passphrase);
+    setLocked(false);
+    await reloadFromStorage();
+  }
+
+  async function eraseAllData() {
+    if (!confirm("Erase every investigation, evidence thread and attachment stored in this browser? This cannot be undone.")) return;
+    try {
+      await eraseStorage();
+      location.reload();
+    } catch (e) {
+      alert("Erase failed: " + e.message);
+    }
+  }
+
+  useEffect(() => {
+    if (!lock?.autoLockMinutes || locked) return;
+    let lastActivity = Date.now();
+    const touch = () => {
+      lastActivity = Date.now();
+    };
+    const events = ["pointerdown", "pointermove", "keydown", "wheel"];
+    events.forEach((name) => window.addEventListener(name, touch, { passive: true }));
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivity > lock.autoLockMinutes * 60000) lockNow();
+    }, 15000);
+    return () => {
+      events.forEach((name) => window.removeEventListener(name, touch));
+      clearInterval(timer);
+    };
+  }, [lock, locked]);
 
-  useEffect(() => saveDB(db), [db]);
+  // Resolves with the passphrase typed in the passphrase modal, or null if it was closed.
+  function requestPassphrase(title, confirmNew = false) {
+    return new Promise((resolve) => setPassphraseRequest({ title, confirm: confirmNew, resolve }));
+  }
+
+  async function changeEncryption(next) {
+    const changes = await rekeyStorage(dbRef.current, next);
+    persistedRef.current = dbRef.current;
+    broadcastChanges(changes);
+    setLock(next ? next.lock : null);
+  }
+
+  useEffect(() => {
+    if (!loaded || db === persistedRef.current) return;
+    const prev = persistedRef.current;
+    persistedRef.current = db;
+    storage.save(prev, db)
+      .then(broadcastChanges)
+      .catch((e) => {
+        if (e?.name === "StorageLockedError") {
+          setStorageError(`${e.message} Your latest change was not saved.`);
+          return reloadFromStorage();
+        }
+        console.error("Failed to save DB", e);
+        persistedRef.current = null;
+        setStorageError(describeStorageError(e));
+      });
+  }, [db, loaded]);
+
+  // Rows saved by another tab are already in IndexedDB: fold them into both the state and the last
+  // persisted snapshot so the next save does not write them again.
+  useEffect(() => {
+    if (!loaded) return;
+    return subscribeToOtherTabs((changes) => {
+      if (changes.meta?.version > DB_VERSION) {
+        setStorageError("Another tab upgraded the data to a newer version of this app. Reload this page before making changes.");
+        return;
+      }
+      if (changes.reload) {
+        reloadFromStorage();
+        return;
+      }
+      const current = dbRef.current;
+      const next = applyStoreChanges(current, changes);
+      if (persistedRef.current === current) persistedRef.current = next;
+      else if (persistedRef.current) persistedRef.current = applyStoreChanges(persistedRef.current, changes);
+      dbRef.current = next;
+      setDb((cur) => (cur === current ? next : applyStoreChanges(cur, changes)));
+    });
+  }, [loaded]);
+
+  function retrySave() {
+    setStorageError(null);
+    persistedRef.current = db;
+    storage.save(null, db).then(broadcastChanges).catch((e) => {
+      console.error("Failed to save DB", e);
+      persistedRef.current = null;
+      setStorageError(describeStorageError(e));
+    });
+  }
+
+  // Pull, settle conflicts that resolve themselves, then push what changed here.
+  async function syncNow() {
+    const sync = dbRef.current.sync;
+    if (syncingRef.current || !sync || !navigator.onLine) return;
+    const sameServer = (prev) => prev.sync?.server === sync.server;
+    syncingRef.current = true;
+    setSyncStatus((s) => ({ ...s, running: true }));
+    try {
+      const pulled = await syncRequest(sync, `changes?since=${dbRef.current.sync.seq}`);
+      flushSync(() => setDb((prev) => (sameServer(prev) ? applyPulled(prev, pulled.changes, pulled.seq) : prev)));
+      if (!sameServer(dbRef.current)) return;
+      for (const key of Object.keys(dbRef.current.sync.conflicts)) {
+        if (autoResolvable(dbRef.current, key)) await resolveSyncConflict(key, "mine");
+      }
+      const changes = pendingChanges(dbRef.current);
+      for (let i = 0; i < changes.length; i += SYNC_BATCH_SIZE) {
+        const batch = changes.slice(i, i + SYNC_BATCH_SIZE);
+        const { results } = await syncRequest(sync, "changes", { method: "POST", body: { changes: batch } });
+        flushSync(() => setDb((prev) => (sameServer(prev) ? applyPushResults(prev, batch, results) : prev)));
+      }
+      setSyncStatus({ running: false, at: Date.now(), error: null });
+    } catch (e) {
+      setSyncStatus((s) => ({ ...s, error: e.message }));
+    } finally {
+      syncingRef.current = false;
+      setSyncStatus((s) => ({ ...s, running: false }));
+    }
+  }
+
+  // Skipped if the record or the conflict changed while the resolution was being prepared.
+  async function resolveSyncConflict(key, choice) {
+    const current = dbRef.current;
+    const conflict = current.sync.conflicts[key];
+    const mine = syncRecords(current).get(key);
+    const record = await resolvedRecord(current, key, choice);
+    flushSync(() =>
+      setDb((prev) => (prev.sync?.conflicts[key] === conflict && syncRecords(prev).get(key) === mine ? settleConflict(prev, key, record) : prev))
+    );
+  }
+
+  async function connectSync(server, token) {
+    try {
+      await syncRequest({ server, token }, "health");
+    } catch (e) {
+      return alert(`Could not reach ${server}: ${e.message}`);
+    }
+    flushSync(() => setDb((prev) => ({ ...prev, sync: { server, token, seq: 0, records: {}, conflicts: {} } })));
+    syncNow();
+  }
+
+  function disconnectSync() {
+    setDb((prev) => ({ ...prev, sync: null }));
+    setSyncStatus({ running: false, at: null, error: null });
+  }
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  // Sync when connecting, when the network comes back and then periodically.
+  useEffect(() => {
+    if (!loaded || locked || !online || !db.sync?.server) return;
+    syncNow();
+    const timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loaded, locked, online, db.sync?.server]);
+
+  const pendingSync = useMemo(() => (db.sync ? pendingChanges(db).length : 0), [db]);
+  const syncConflicts = db.sync ? Object.keys(db.sync.conflicts).length : 0;
+
+  // Local changes go out a moment after the last edit.
+  useEffect(() => {
+    if (!loaded || locked || !online || !pendingSync) return;
+    const timer = setTimeout(syncNow, 2000);
+    return () => clearTimeout(timer);
+  }, [db, loaded, locked, online, pendingSync]);
+
+  // Trashed records stay in db but are hidden everywhere except the Trash view. Everything shown
+  // works on threads with redacted text masked; db keeps the originals.
+  const shownEvidence = useMemo(() => redactEvidence(db.evidence), [db.evidence]);
+  const indexRef = useRef(null);
+  const index = useMemo(
+    () => (indexRef.current = indexDB({ investigations: db.investigations, evidence: shownEvidence }, indexRef.current)),
+    [db.investigations, shownEvidence]
+  );
+  const investigations = useMemo(() => [...index.investigations.values()], [index.investigations]);
+  const evidence = useMemo(() => [...index.evidence.values()], [index.evidence]);
+  const entities = useMemo(() => db.entities.filter((e) => !e.deletedAt), [db.entities]);
+  const settings = db.settings;
+  const tags = useMemo(() => tagUsage({ investigations, evidence }), [investigations, evidence]);
+  const knownTags = useMemo(() => tags.map((g) => g.tag), [tags]);
+  const trashCount = useMemo(
+    () => db.investigations.length - investigations.length + db.evidence.filter((e) => e.deletedAt && !e.deletedWith).length + db.entities.length - entities.length,
+    [db.investigations, db.evidence, db.entities, investigations, entities]
+  );
+  // Live links per linked record id, each with its entity.
+  const linksByRecord = useMemo(() => {
+    const byId = new Map(entities.map((e) => [e.id, e]));
+    const map = new Map();
+    db.entityLinks.forEach((link) => {
+      const entity = byId.get(link.entityId);
+      if (link.removedAt || !entity) return;
+      if (!map.has(link.recordId)) map.set(link.recordId, []);
+      map.get(link.recordId).push({ link, entity });
+    });
+    return map;
+  }, [entities, db.entityLinks]);
+  const revisionsByRecord = useMemo(() => {
+    const map = new Map();
+    [...db.revisions].reverse().forEach((r) => {
+      if (!map.has(r.recordId)) map.set(r.recordId, []);
+      map.get(r.recordId).push(r);
+    });
+    return map;
+  }, [db.revisions]);
 
-  const investigations = db.investigations;
-  const evidence = db.evidence;
+  const selectedInvestigation = index.investigations.get(selected) || null;
+  const evidenceForSelected = index.evidenceByInvestigation.get(selected) || [];
+  // The evidence grid is windowed by rows of two cards.
+  const evidenceRows = useMemo(() => {
+    const rows = [];
+    for (let i = 0; i < evidenceForSelected.length; i += 2) rows.push(evidenceForSelected.slice(i, i + 2));
+    return rows;
+  }, [evidenceForSelected]);
+  const activeEvidenceObj = index.evidence.get(activeEvidence) || null;
+  const thread = useMemo(() => threadView(activeEvidenceObj?.entries), [activeEvidenceObj]);
+  // Amendments and redactions are shown on the entry they change.
+  const threadItemId = (entryId) => entryId && (changedEntryId(index.entries.get(entryId)?.entry) || entryId);
 
-  const selectedInvestigation = useMemo(() => investigations.find((i) => i.id === selected) || null, [investigations, selected]);
-  const evidenceForSelected = useMemo(() => evidence.filter((e) => e.investigationId === selected).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)), [evidence, selected]);
-  const activeEvidenceObj = useMemo(() => evidence.find((e) => e.id === activeEvidence) || null, [evidence, activeEvidence]);
+  const searchIndex = useMemo(() => buildSearchIndex({ investigations, evidence, settings }), [investigations, evidence, settings]);
+  const searchResults = useMemo(() => (query.trim() ? runSearch(searchIndex, query) : null), [searchIndex, query]);
+  const hitsByInvestigation = useMemo(() => new Map((searchResults?.groups || []).map((g) => [g.investigation.id, g])), [searchResults]);
+  const dashboard = useMemo(() => dashboardStats({ investigations, evidence, users: db.users, settings }), [investigations, evidence, db.users, settings]);
 
   const filteredInvestigations = useMemo(() => {
-    const q = query.toLowerCase();
-    return investigations
+    return (searchResults ? searchResults.groups.map((g) => g.investigation) : investigations)
       .filter((i) => (statusFilter === "All" ? true : i.status === statusFilter))
-      .filter((i) =>
-        !q
-          ? true
-          : [i.title, i.caseNumber, i.description, ...(i.tags || [])]
-              .filter(Boolean)
-              .some((f) => String(f).toLowerCase().includes(q))
-      )
       .sort((a, b) => (b.updatedAt || b.createdAt) - (a.updatedAt || a.createdAt));
-  }, [investigations, statusFilter, query]);
+  }, [investigations, statusFilter, searchResults]);
+
+  function openHit(investigationId, evidenceId, entryId) {
+    setSelected(investigationId);
+    setInvestigationTab("evidence");
+    setActiveEvidence(evidenceId);
+    setFocusedEntry(entryId || null);
+  }
+
+  const resolveRef = useMemo(() => makeRefResolver(investigations, evidence), [investigations, evidence]);
+  const backlinks = useMemo(() => buildBacklinks(investigations, evidence, resolveRef), [investigations, evidence, resolveRef]);
+  const refResolverFor = (investigationId) => (kind, key) => resolveRef(kind, key, investigationId);
+
+  // Opens a reference target or a backlink source: { investigation, evidence?, entry? }.
+  function openRef({ investigation, evidence: ev, entry }) {
+    if (ev) openHit(investigation.id, ev.id, entry?.id);
+    else {
+      setSelected(investigation.id);
+      setActiveEvidence(null);
+    }
+  }
 
   function createInvestigation(data) {
-    const now = Date.now();
-    const inv = { id: uuid(), createdAt: now, updatedAt: now, ...data };
-    setDb((prev) => ({ ...prev, investigations: [inv, ...prev.investigations] }));
+    if (!permitted("edit")) return;
+    if (data.status === closingStatus(settings) && !permitted("closeInvestigation")) return;
+    const inv = newRecord(data);
+    setDb((prev) => createRecord(prev, "investigation", inv, actorName));
     setShowInvestigationModal(false);
     setEditingInvestigation(null);
     setSelected(inv.id);
   }
 
   function updateInvestigation(id, data) {
-    const now = Date.now();
-    setDb((prev) => ({
-      ...prev,
-      investigations: prev.investigations.map((i) => (i.id === id ? { ...i, ...data, updatedAt: now } : i)),
-    }));
+    if (!permitted("edit")) return;
+    if (changesClosure(settings, db.investigations.find((i) => i.id === id), data.status) && !permitted("closeInvestigation")) return;
+    setDb((prev) => updateRecord(prev, "investigation", id, data, actorName));
     setShowInvestigationModal(false);
     setEditingInvestigation(null);
   }
 
   function deleteInvestigation(id) {
-    if (!confirm("Delete investigation and all its evidence? This cannot be undone.")) return;
-    setDb((prev) => ({
-      ...prev,
-      investigations: prev.investigations.filter((i) => i.id !== id),
-      evidence: prev.evidence.filter((e) => e.investigationId !== id),
-    }));
+    if (!permitted("deleteInvestigation")) return;
+    setDb((prev) => trashRecord(prev, "investigation", id, actorName));
     if (selected === id) setSelected(null);
     if (activeEvidence && evidence.find((e) => e.investigationId === id)) setActiveEvidence(null);
   }
 
   function createEvidence(invId, data) {
-    const now = Date.now();
-    const ev = { id: uuid(), investigationId: invId, createdAt: now, updatedAt: now, entries: [], ...data };
-    setDb((prev) => ({ ...prev, evidence: [ev, ...prev.evidence] }));
+    if (!permitted("edit")) return;
+    const ev = newRecord({ investigationId: invId, entries: [], ...data });
+    setDb((prev) => createRecord(prev, "evidence", ev, actorName));
     setShowEvidenceModal(false);
     setEditingEvidence(null);
     setActiveEvidence(ev.id);
   }
 
   function updateEvidence(id, data) {
-    const now = Date.now();
-    setDb((prev) => ({
-      ...prev,
-      evidence: prev.evidence.map((e) => (e.id === id ? { ...e, ...data, updatedAt: now } : e)),
-    }));
+    if (!permitted("edit")) return;
+    setDb((prev) => updateRecord(prev, "evidence", id, data, actorName));
     setShowEvidenceModal(false);
     setEditingEvidence(null);
   }
 
   function deleteEvidence(id) {
-    if (!confirm("Delete this evidence thread?")) return;
-    setDb((prev) => ({ ...prev, evidence: prev.evidence.filter((e) => e.id !== id) }));
+    if (!permitted("edit")) return;
+    setDb((prev) => trashRecord(prev, "evidence", id, actorName));
     if (activeEvidence === id) setActiveEvidence(null);
   }
 
+  function createEntity(data) {
+    if (!permitted("edit")) return;
+    const entity = newRecord(data);
+    setDb((prev) => createRecord(prev, "entity", entity, actorName));
+    return entity.id;
+  }
+
+  function updateEntity(id, data) {
+    if (!permitted("edit")) return;
+    setDb((prev) => updateRecord(prev, "entity", id, data, actorName));
+  }
+
+  function deleteEntity(id) {
+    if (!permitted("edit")) return;
+    setDb((prev) => trashRecord(prev, "entity", id, actorName));
+  }
+
+  // `entity` is an existing entity id, or the fields of a new entity to create first.
+  function linkEntityTo(target, entity) {
+    if (!permitted("edit")) return;
+    const entityId = typeof entity === "string" ? entity : createEntity(entity);
+    setDb((prev) => linkEntity(prev, entityId, target, actorName));
+  }
+
+  function unlinkEntityLink(linkId) {
+    if (!permitted("edit")) return;
+    setDb((prev) => unlinkEntity(prev, linkId));
+  }
+
+  const entityLinker = (target, compact) => (
+    <EntityLinker
+      readOnly={!canEdit}
+      linked={linksByRecord.get(target.recordId) || []}
+      entities={entities}
+      onLink={(entity) => linkEntityTo(target, entity)}
+      onUnlink={unlinkEntityLink}
+      compact={compact}
+    />
+  );
+
+  function signIn(id) {
+    setUserId(id);
+  }
+
+  function createUser(data, by = actorName) {
+    const user = newRecord(data);
+    setDb((prev) => createRecord(prev, "user", user, by));
+    return user.id;
+  }
+
+  // First profile on a new install; the name typed in the old "Acting as" field is offered.
+  function createFirstUser(data) {
+    signIn(createUser({ ...data, role: "lead" }, userLabel(data)));
+    localStorage.removeItem(ACTOR_KEY);
+  }
+
+  function updateUser(id, data) {
+    if (id !== currentUser.id && !permitted("manage")) return;
+    const before = db.users.find((u) => u.id === id);
+    if (data.role !== before.role && !permitted("manage")) return;
+    const problem = leadProblem(db.users, { id, role: data.role });
+    if (problem) return alert(problem);
+    setDb((prev) => updateRecord(prev, "user", id, data, actorName));
+  }
+
+  function deleteUser(id) {
+    if (!permitted("manage")) return;
+    const problem = leadProblem(db.users, { id, deletedAt: Date.now() });
+    if (problem) return alert(problem);
+    if (!confirm("Remove this profile? Entries it wrote keep its name.")) return;
+    setDb((prev) => trashRecord(prev, "user", id, actorName));
+  }
+
+  // Dashboard figures filter the sidebar either by status or by a search query, never both.
+  function filterFromDashboard({ status = "All", query = "" }) {
+    setStatusFilter(status);
+    setQuery(query);
+  }
+
+  function showDashboard() {
+    setSelected(null);
+    setActiveEvidence(null);
+  }
+
+  function filterByTag(tag) {
+    setQuery(`tag:"${tag}"`);
+    setShowTags(false);
+  }
+
+  function saveSettings(next, renames) {
+    if (!permitted("manage")) return;
+    setDb((prev) => applySettings(prev, next, renames, actorName));
+    if (renames.statuses.has(statusFilter)) setStatusFilter(renames.statuses.get(statusFilter));
+    setShowSettings(false);
+  }
+
+  function restoreFromTrash(recordType, id) {
+    if (!permitted("edit")) return;
+    setDb((prev) => restoreRecord(prev, recordType, id, actorName));
+  }
+
+  function purgeFromTrash(recordType, id) {
+    if (!permitted("manage")) return;
+    const what = recordType === "investigation" ? "this investigation and all of its evidence" : "this evidence thread";
+    if (!confirm(`Permanently delete ${what}? This cannot be undone.`)) return;
+    const next = purgeRecord(dbRef.current, recordType, id, actorName);
+    setDb(next);
+    pruneFiles(next).catch((e) => console.error("Failed to prune attachment files", e));
+  }
+
+  // Entries are sealed one at a time so each links to the head it is actually appended to.
+  const entryQueue = useRef(Promise.resolve());
+
   function addEntry(evidenceId, data) {
-    const now = Date.now();
-    const entry = { id: uuid(), timestamp: now, ...data };
-    setDb((prev) => ({
-      ...prev,
-      evidence: prev.evidence.map((e) =>
-        e.id === evidenceId ? { ...e, entries: [entry, ...(e.entries || [])], updatedAt: now } : e
-      ),
-    }));
-  }
-
-  function exportJSON() {
-    const blob = new Blob([JSON.stringify(db, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `evidence-export-${new Date().toISOString().slice(0, 19)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }
-
-  function exportCSV() {
-    // Flatten into rows: investigation, evidence, entry
-    const rows = [
-      [
-        "caseNumber",
-        "investigationTitle",
-        "investigationStatus",
-        "investigationTags",
-        "evidenceTitle",
-        "evidenceType",
-        "evidenceTags",
-        "entryTimestamp",
-        "entryAuthor",
-        "entryBody",
-        "attachments",
-      ],
-    ];
-
-    db.evidence.forEach((ev) => {
-      const inv = db.investigations.find((i) => i.id === ev.investigationId);
-      (ev.entries || []).forEach((en) => {
-        rows.push([
-          inv?.caseNumber || "",
-          inv?.title || "",
-          inv?.status || "",
-          (inv?.tags || []).join(";"),
-          ev.title || "",
-          ev.type || "",
-          (ev.tags || []).join(";"),
-          new Date(en.timestamp).toISOString(),
-          en.author || "",
-          en.body || "",
-          (en.attachments || []).map((a) => `${a.label || "link"}:${a.url}`).join(" | "),
-        ]);
-      });
-    });
+    if (!can(currentUser, "edit")) return Promise.reject(new Error(`${roleLabel(currentUser?.role)} profiles cannot add entries.`));
+    const draft = newEntry(data, actorName, currentUser.id);
+    const task = entryQueue.current.then(() => appendSealedEntry(evidenceId, draft));
+    entryQueue.current = task.catch(() => {});
+    return task;
+  }
+
+  async function appendSealedEntry(evidenceId, draft) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const sealed = await appendEntry(dbRef.current, evidenceId, draft);
+      const entry = sealed.evidence.find((e) => e.id === evidenceId).entries[0];
+      flushSync(() => setDb((prev) => withEntry(prev, evidenceId, entry)));
+      const after = dbRef.current.evidence.find((e) => e.id === evidenceId);
+      if (after?.entries?.[0]?.id === draft.id) return entry;
+    }
+    throw new Error("The thread kept changing while the entry was being sealed. Please try again.");
+  }
+
+  // Amendments and redactions are entries of their own, pointing at the entry they change.
+  async function submitEntryChange(payload) {
+    const { mode, evidenceId, item } = entryChange;
+    const data = mode === "amend" ? amendmentData(item.id, payload.body, payload.reason) : redactionData(item.id, payload.texts, payload.reason);
+    try {
+      await addEntry(evidenceId, data);
+      setEntryChange(null);
+    } catch (e) {
+      alert(`${mode === "amend" ? "Amendment" : "Redaction"} not saved: ${e.message}`);
+    }
+  }
 
-    const csv = rows.map((r) => r.map(csvSafe).join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv" });
+  // With "Encrypt exports" ticked, the file is wrapped in an encrypted envelope (see encryptExport).
+  async function downloadExport(bytes, contentType, ext) {
+    if (!encryptExports) return downloadBlob(new Blob([bytes], { type: contentType }), exportFileName(ext));
+    const passphrase = await requestPassphrase("Passphrase for this export", true);
+    if (passphrase == null) return;
+    const envelope = await encryptExport(bytes, contentType, passphrase);
+    downloadBlob(new Blob([JSON.stringify(envelope)], { type: "application/json" }), exportFileName(`${ext}.encrypted.json`));
+  }
+
+  // The full export keeps redacted text; it is for internal use only.
+  async function exportJSON(full = false) {
+    if (full && !permitted("fullExport")) return;
+    try {
+      await downloadExport(new TextEncoder().encode(exportJSONText(db, { full })), "application/json", full ? "full.json" : "json");
+    } catch (e) {
+      alert("Export failed: " + e.message);
+    }
+  }
+
+  // Zip with evidence.json (same content as Export JSON) and every attached file under attachments/<sha256>.
+  async function exportBundle() {
+    try {
+      const files = [{ name: "evidence.json", data: new TextEncoder().encode(exportJSONText(db)) }];
+      const missing = [];
+      for (const sha256 of new Set(fileAttachments(db).map((a) => a.sha256))) {
+        const blob = await getFile(sha256);
+        if (blob) files.push({ name: `attachments/${sha256}`, data: new Uint8Array(await blob.arrayBuffer()) });
+        else missing.push(sha256);
+      }
+      await downloadExport(new Uint8Array(await makeZip(files).arrayBuffer()), "application/zip", "zip");
+      if (missing.length) alert(`${missing.length} attached file(s) are not stored in this browser and were left out of the bundle.`);
+    } catch (e) {
+      alert("Export failed: " + e.message);
+    }
+  }
+
+  function generateReport(options, action) {
+    const html = buildCaseReport(selectedInvestigation, evidence, { ...options, integrity, generatedBy: actorName });
+    const blob = new Blob([html], { type: "text/html" });
+    const name = `case-report-${(selectedInvestigation.caseNumber || selectedInvestigation.title).replace(/[^\w-]+/g, "_")}-${new Date().toISOString().slice(0, 10)}.html`;
+    setShowReportOptions(false);
+    if (action === "download") return downloadBlob(blob, name);
     const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `evidence-export-${new Date().toISOString().slice(0, 19)}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }
-
-  function importJSON(file) {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const imported = JSON.parse(reader.result);
-        if (!imported || typeof imported !== "object") throw new Error("Invalid file");
-        if (!Array.isArray(imported.investigations) || !Array.isArray(imported.evidence)) throw new Error("Missing keys");
-        setDb(imported);
-        alert("Import successful. Data replaced.");
-      } catch (e) {
-        alert("Import failed: " + e.message);
+    const win = window.open(url, "_blank");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    // Popup blocked: fall back to a download the user can open and print.
+    if (!win) downloadBlob(blob, name);
+  }
+
+  // `roundTrip` also writes record ids and empty investigations/evidence so the file can be imported
+  // again, and keeps redacted text so that the entries still match their hashes; like the full JSON
+  // export it is for leads only.
+  function exportCSV(options) {
+    if (options?.roundTrip && !permitted("fullExport")) return;
+    const csv = exportCSVText(db, options);
+    downloadBlob(new Blob([csv], { type: "text/csv" }), exportFileName("csv"));
+  }
+
+  // Accepts a JSON export, a legacy evidenceLog export, a zip bundle from exportBundle, or a CSV file.
+  async function importJSON(file) {
+    if (!permitted("edit")) return;
+    try {
+      if (/\.csv$/i.test(file.name) || file.type === "text/csv") {
+        const rows = parseCSV(await file.text());
+        if (rows.length < 2) throw new Error("the CSV file has no rows");
+        setCsvImport({ fileName: file.name, rows });
+        return;
       }
-    };
-    reader.readAsText(file);
+      let bytes = new Uint8Array(await file.arrayBuffer());
+      let isZip = /\.zip$/i.test(file.name) || file.type === "application/zip";
+      const envelope = !isZip && parseEncryptedExport(bytes);
+      if (envelope) {
+        for (;;) {
+          const passphrase = await requestPassphrase(`Passphrase for ${file.name}`);
+          if (passphrase == null) return;
+          try {
+            const decrypted = await decryptExport(envelope, passphrase);
+            bytes = decrypted.bytes;
+            isZip = decrypted.contentType === "application/zip";
+            break;
+          } catch (e) {
+            alert(e.message);
+          }
+        }
+      }
+      const { text, files, warnings } = isZip ? await readBundle(bytes) : { text: new TextDecoder().decode(bytes), files: [], warnings: [] };
+      const { invalid, data: migrated, incomingBase, problems } = await prepareImport(text);
+      if (invalid) {
+        setImportErrors({ fileName: file.name, problems: invalid });
+        return;
+      }
+
+      const bundled = new Set(files.map((f) => f.sha256));
+      const unavailable = [];
+      for (const sha256 of new Set(fileAttachments(migrated).map((a) => a.sha256))) {
+        if (!bundled.has(sha256) && !(await getFile(sha256))) unavailable.push(sha256);
+      }
+      if (unavailable.length) warnings.push(`${unavailable.length} attached file(s) are neither in this file nor stored in this browser.`);
+
+      setPendingImport({ fileName: file.name, data: migrated, files, problems, warnings, plan: planMerge(db, migrated, incomingBase) });
+    } catch (e) {
+      alert("Import failed: " + e.message);
+    }
+  }
+
+  async function importCSV(mapping) {
+    const { fileName, rows } = csvImport;
+    setCsvImport(null);
+    try {
+      const { invalid, data, warnings, resealed } = await prepareCSVImport(rows, mapping, db, actorName);
+      if (invalid) return setImportErrors({ fileName, problems: invalid });
+      if (
+        resealed.length &&
+        !confirm(
+          `Entries of ${resealed.map((ev) => `"${ev.title}"`).join(", ")} no longer match the hashes in the file, so their hash chains would be re-sealed. ` +
+            "Import anyway? The re-sealing is recorded in the revision log."
+        )
+      ) {
+        return;
+      }
+      setPendingImport({ fileName, data, files: [], problems: [], warnings, plan: planMerge(db, data) });
+    } catch (e) {
+      alert("Import failed: " + e.message);
+    }
+  }
+
+  async function commitMerge(resolutions) {
+    const { plan, files } = pendingImport;
+    setPendingImport(null);
+    try {
+      await putFiles(files);
+      const merged = await applyMerge(dbRef.current, plan, resolutions);
+      setDb(merged);
+      alert("Merge complete.");
+    } catch (e) {
+      alert("Merge failed: " + (e?.name === "QuotaExceededError" ? describeStorageError(e) : e.message));
+    }
+  }
+
+  async function commitReplace() {
+    if (!confirm("Replace all local data with the imported file? This cannot be undone.")) return;
+    const { data, files } = pendingImport;
+    setPendingImport(null);
+    try {
+      await putFiles(files);
+      // The sync server connection stays; what differs from the server is pushed on the next sync.
+      const next = { ...replaceWith(data), sync: dbRef.current.sync };
+      setDb(next);
+      pruneFiles(next).catch((e) => console.error("Failed to prune attachment files", e));
+      alert("Import successful. Data replaced.");
+    } catch (e) {
+      alert("Import failed: " + (e?.name === "QuotaExceededError" ? describeStorageError(e) : e.message));
+    }
   }
 
   const fileInputRef = useRef(null);
 
+  if (locked) return <UnlockScreen onUnlock={unlock} onErase={eraseAllData} />;
+  if (loaded && !currentUser) {
+    return (
+      <SignInScreen users={db.users} suggestedName={localStorage.getItem(ACTOR_KEY) || ""} onSignIn={signIn} onCreateFirst={createFirstUser}>
+        {db.sync ? (
+          <div className="text-sm text-black/60">{syncStatus.error ? `Sync failed: ${syncStatus.error}` : `Waiting for profiles from ${db.sync.server}…`}</div>
+        ) : (
+          <SyncSettings db={db} status={syncStatus} pending={0} online={online} onConnect={connectSync} />
+        )}
+      </SignInScreen>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-zinc-50 to-zinc-100 text-zinc-900">
       <header className="sticky top-0 z-30 bg-white/80 backdrop-blur border-b border-black/5">
         <div className="max-w-7xl mx-auto px-4 py-3 flex items-center gap-3">
           <div className="text-2xl font-bold tracking-tight">Evidence Log</div>
           <div className="ml-auto flex items-center gap-2">
-            <Button onClick={() => fileInputRef.current?.click()}>Import JSON</Button>
+            {currentUser && (
+              <Button onClick={() => setShowUsers(true)} title={roleLabel(currentUser.role)}>
+                👤 {userLabel(currentUser)}
+                {currentUser.role === "viewer" ? " (read-only)" : ""}
+              </Button>
+            )}
+            <Button onClick={showDashboard}>Dashboard</Button>
+            <Button onClick={() => setShowEntities(true)}>Entities ({entities.length})</Button>
+            <Button onClick={() => setShowTrash(true)}>Trash ({trashCount})</Button>
+            <Button onClick={() => setShowTags(true)}>Tags ({tags.length})</Button>
+            <Button onClick={() => setShowSync(true)} className={syncConflicts || syncStatus.error ? "border-red-300 text-red-800" : ""}>
+              {!db.sync
+                ? "Sync"
+                : syncConflicts
+                ? `Sync: ${syncConflicts} conflict(s)`
+                : !online
+                ? `Offline${pendingSync ? ` (${pendingSync} queued)` : ""}`
+                : pendingSync
+                ? `Sync (${pendingSync})`
+                : "Synced"}
+            </Button>
+            {can(currentUser, "manage") && <Button onClick={() => setShowSettings(true)}>Settings</Button>}
+            <Button onClick={() => setShowEncryption(true)}>{lock ? "🔒 Encryption" : "Encryption"}</Button>
+            {lock && <Button onClick={lockNow}>Lock</Button>}
+            {canEdit && <Button onClick={() => fileInputRef.current?.click()}>Import</Button>}
             <input
               type="file"
-              accept="application/json"
+              accept="application/json,.json,application/zip,.zip,text/csv,.csv"
               ref={fileInputRef}
               className="hidden"
-              onChange={(e) => e.target.files && e.target.files[0] && importJSON(e.target.files[0])}
+              onChange={(e) => {
+                if (e.target.files && e.target.files[0]) importJSON(e.target.files[0]);
+                e.target.value = "";
+              }}
             />
-            <Button onClick={exportCSV}>Export CSV</Button>
-            <PrimaryButton onClick={exportJSON}>Export JSON</PrimaryButton>
+            <label className="text-sm flex items-center gap-1" title="Ask for a passphrase and encrypt JSON and bundle exports">
+              <input type="checkbox" checked={encryptExports} onChange={(e) => setEncryptExports(e.target.checked)} /> Encrypt exports
+            </label>
+            <Button onClick={() => exportCSV()}>Export CSV</Button>
+            {can(currentUser, "fullExport") && (
+              <Button
+                onClick={() => exportCSV({ roundTrip: true })}
+                title="Includes ids, empty investigations/evidence and redacted text so the file can be imported again. For internal use only"
+              >
+                Export CSV (round-trip)
+              </Button>
+            )}
+            <Button onClick={exportBundle}>Export bundle (.zip)</Button>
+            {can(currentUser, "fullExport") && (
+              <Button onClick={() => exportJSON(true)} title="Keeps redacted text. For internal use only">
+                Export full JSON
+              </Button>
+            )}
+            <PrimaryButton onClick={() => exportJSON()}>Export JSON</PrimaryButton>
           </div>
         </div>
       </header>
 
+      {storageError && (
+        <div className="max-w-7xl mx-auto px-4 pt-4">
+          <div role="alert" className="rounded-2xl border border-red-300 bg-red-50 text-red-900 px-4 py-3 flex items-center gap-3">
+            <div className="flex-1 text-sm">{storageError}</div>
+            {loaded && <Button onClick={retrySave}>Retry save</Button>}
+            <Button onClick={() => setStorageError(null)}>Dismiss</Button>
+          </div>
+        </div>
+      )}
+
       <main className="max-w-7xl mx-auto px-4 py-6 grid grid-cols-1 lg:grid-cols-12 gap-6">
         {/* Sidebar */}
         <aside className="lg:col-span-4 space-y-4">
@@ -502,41 +3292,78 @@ export default function App() {
               <Input placeholder="Search title, tags, notes…" value={query} onChange={(e) => setQuery(e.target.value)} />
               <Button onClick={() => setQuery("")}>Clear</Button>
             </div>
+            <div className="mt-2 text-xs text-black/50">
+              Filters: tag:DNA type:Forensics author:"Unit 12" status:Open after:2025-01-01 before:2025-02-01 idle:30
+            </div>
+            {searchResults?.errors.map((err) => (
+              <div key={err} className="mt-1 text-xs text-red-700">{err}</div>
+            ))}
             <div className="grid grid-cols-2 gap-2 mt-3">
               <select className="rounded-2xl border border-black/10 px-3 py-2" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
                 <option>All</option>
-                <option>Open</option>
-                <option>Active</option>
-                <option>On Hold</option>
-                <option>Closed</option>
+                {settings.statuses.map((s) => (
+                  <option key={s}>{s}</option>
+                ))}
               </select>
-              <PrimaryButton onClick={() => { setEditingInvestigation(null); setShowInvestigationModal(true); }}>+ New Investigation</PrimaryButton>
+              {canEdit && <PrimaryButton onClick={() => { setEditingInvestigation(null); setShowInvestigationModal(true); }}>+ New Investigation</PrimaryButton>}
             </div>
           </Card>
 
-          <Card className="max-h-[70vh] overflow-auto">
+          <Card>
             <h3 className="font-semibold mb-2">Investigations ({filteredInvestigations.length})</h3>
-            <div className="space-y-2">
-              {filteredInvestigations.map((i) => (
-                <div key={i.id} className={`rounded-xl border p-3 cursor-pointer ${selected === i.id ? "border-black" : "border-black/10"}`} onClick={() => { setSelected(i.id); setActiveEvidence(null); }}>
+            <VirtualList
+              className="max-h-[65vh] pr-1"
+              items={filteredInvestigations}
+              estimate={130}
+              renderItem={(i) => (
+                <div className={`rounded-xl border p-3 cursor-pointer ${selected === i.id ? "border-black" : "border-black/10"}`} onClick={() => { setSelected(i.id); setActiveEvidence(null); }}>
                   <div className="flex items-center justify-between gap-2">
                     <div className="font-semibold truncate">{i.title} {i.caseNumber ? <span className="text-xs text-black/60">(#{i.caseNumber})</span> : null}</div>
                     <span className="text-xs px-2 py-0.5 rounded-full border border-black/10 bg-black/5">{i.status}</span>
                   </div>
-                  <div className="mt-1 text-sm line-clamp-2 text-black/70">{i.description}</div>
-                  <div className="mt-2 flex flex-wrap gap-1">{(i.tags || []).map((t) => <Tag key={t}>{t}</Tag>)}</div>
+                  <div className="mt-1 text-sm line-clamp-2 text-black/70">{markdownPlain(i.description)}</div>
+                  <div className="mt-2 flex flex-wrap gap-1">{(i.tags || []).map((t) => <Tag key={t} onClick={() => filterByTag(t)}>{t}</Tag>)}</div>
                   <div className="mt-2 text-xs text-black/60">Updated {formatDate(i.updatedAt || i.createdAt)}</div>
+                  {hitsByInvestigation.has(i.id) && (
+                    <div className="mt-2 space-y-2">
+                      <Snippet snippet={hitsByInvestigation.get(i.id).snippet} />
+                      {hitsByInvestigation.get(i.id).evidence.map((hit) => (
+                        <div key={hit.evidence.id} className="border-l-2 border-black/10 pl-2">
+                          <div className="text-sm font-medium hover:underline" onClick={(e) => { e.stopPropagation(); openHit(i.id, hit.evidence.id); }}>
+                            {hit.evidence.title}
+                          </div>
+                          <Snippet snippet={hit.snippet} />
+                          {hit.entries.slice(0, 5).map(({ entry, snippet }) => (
+                            <div key={entry.id} className="mt-1 rounded-lg px-1 hover:bg-black/5" onClick={(e) => { e.stopPropagation(); openHit(i.id, hit.evidence.id, entry.id); }}>
+                              <div className="text-xs text-black/50">{entry.author} • {formatDate(entry.timestamp)}</div>
+                              <Snippet snippet={snippet} />
+                            </div>
+                          ))}
+                          {hit.entries.length > 5 && <div className="text-xs text-black/50">+{hit.entries.length - 5} more entries</div>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
-              ))}
-              {!filteredInvestigations.length && <div className="text-sm text-black/60">No investigations yet.</div>}
-            </div>
+              )}
+            />
+            {!filteredInvestigations.length && <div className="text-sm text-black/60">{searchResults ? "No matches." : "No investigations yet."}</div>}
           </Card>
         </aside>
 
         {/* Main content */}
         <section className="lg:col-span-8 space-y-4">
           {!selectedInvestigation ? (
-            <Card className="h-[60vh] flex items-center justify-center text-black/60">Select an investigation to view details.</Card>
+            loaded ? (
+              <Dashboard
+                stats={dashboard}
+                onFilter={filterFromDashboard}
+                onOpen={(id) => { setSelected(id); setActiveEvidence(null); }}
+                onOpenEvidence={(ev) => openHit(ev.investigationId, ev.id)}
+              />
+            ) : (
+              <Card className="h-[60vh] flex items-center justify-center text-black/60">Loading…</Card>
+            )
           ) : (
             <>
               <Card>
@@ -548,88 +3375,187 @@ export default function App() {
                         <span className="text-sm text-black/60">#{selectedInvestigation.caseNumber}</span>
                       )}
                     </div>
-                    <div className="mt-1 flex flex-wrap gap-1">{(selectedInvestigation.tags || []).map((t) => <Tag key={t}>{t}</Tag>)}</div>
-                    <p className="mt-2 text-black/80 whitespace-pre-wrap">{selectedInvestigation.description}</p>
+                    <div className="mt-1 flex flex-wrap gap-1">{(selectedInvestigation.tags || []).map((t) => <Tag key={t} onClick={() => filterByTag(t)}>{t}</Tag>)}</div>
+                    <CustomFieldList className="mt-2" fields={settings.customFields.investigation} record={selectedInvestigation} />
+                    <div className="mt-2">{entityLinker({ recordType: "investigation", recordId: selectedInvestigation.id })}</div>
+                    <Markdown className="mt-2 text-black/80" text={selectedInvestigation.description} resolveRef={refResolverFor(selectedInvestigation.id)} onOpenRef={openRef} />
                     <div className="mt-2 text-xs text-black/60">Created {formatDate(selectedInvestigation.createdAt)} • Updated {formatDate(selectedInvestigation.updatedAt || selectedInvestigation.createdAt)}</div>
+                    <Backlinks sources={backlinks.get(selectedInvestigation.id)} onOpen={openRef} />
                   </div>
                   <div className="flex flex-col gap-2">
-                    <Button onClick={() => { setEditingInvestigation(selectedInvestigation); setShowInvestigationModal(true); }}>Edit</Button>
-                    <Button onClick={() => deleteInvestigation(selectedInvestigation.id)}>Delete</Button>
+                    {canEdit && <Button onClick={() => { setEditingInvestigation(selectedInvestigation); setShowInvestigationModal(true); }}>Edit</Button>}
+                    <Button onClick={() => setShowReportOptions(true)}>Generate report</Button>
+                    <Button onClick={() => setShowInvestigationHistory((v) => !v)}>History</Button>
+                    {can(currentUser, "deleteInvestigation") && <Button onClick={() => deleteInvestigation(selectedInvestigation.id)}>Delete</Button>}
                   </div>
                 </div>
+                {showInvestigationHistory && (
+                  <div className="mt-4 border-t border-black/10 pt-3">
+                    <h4 className="font-semibold mb-2">History</h4>
+                    <RevisionList revisions={revisionsByRecord.get(selectedInvestigation.id) || []} />
+                  </div>
+                )}
               </Card>
 
-              <Card>
-                <div className="flex items-center justify-between">
-                  <h3 className="font-semibold">Evidence Threads ({evidenceForSelected.length})</h3>
-                  <PrimaryButton onClick={() => { setEditingEvidence(null); setShowEvidenceModal(true); }}>+ New Evidence</PrimaryButton>
-                </div>
-                <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
-                  {evidenceForSelected.map((ev) => (
-                    <div key={ev.id} className={`rounded-xl border p-3 cursor-pointer ${activeEvidence === ev.id ? "border-black" : "border-black/10"}`} onClick={() => setActiveEvidence(ev.id)}>
-                      <div className="flex items-center justify-between gap-2">
-                        <div className="font-semibold truncate">{ev.title}</div>
-                        <span className="text-xs px-2 py-0.5 rounded-full border border-black/10 bg-black/5">{ev.type}</span>
-                      </div>
-                      <div className="mt-1 text-sm line-clamp-2 text-black/70">{ev.summary}</div>
-                      <div className="mt-2 flex flex-wrap gap-1">{(ev.tags || []).map((t) => <Tag key={t}>{t}</Tag>)}</div>
-                      <div className="mt-2 text-xs text-black/60">Updated {formatDate(ev.updatedAt || ev.createdAt)}</div>
-                      <div className="mt-2 flex items-center gap-2">
-                        <Button onClick={(e) => { e.stopPropagation(); setEditingEvidence(ev); setShowEvidenceModal(true); }}>Edit</Button>
-                        <Button onClick={(e) => { e.stopPropagation(); deleteEvidence(ev.id); }}>Delete</Button>
-                      </div>
-                    </div>
-                  ))}
-                  {!evidenceForSelected.length && <div className="text-sm text-black/60">No evidence yet. Create the first thread.</div>}
-                </div>
-              </Card>
+              <div className="flex gap-2">
+                <Button className={investigationTab === "evidence" ? "border-black" : ""} onClick={() => setInvestigationTab("evidence")}>Evidence</Button>
+                <Button className={investigationTab === "timeline" ? "border-black" : ""} onClick={() => setInvestigationTab("timeline")}>Timeline</Button>
+              </div>
 
-              {activeEvidenceObj && (
+              {investigationTab === "timeline" ? (
+                <Card>
+                  <InvestigationTimeline
+                    investigation={selectedInvestigation}
+                    evidence={evidence}
+                    onOpenEntry={(evidenceId, entryId) => openHit(selectedInvestigation.id, evidenceId, entryId)}
+                  />
+                </Card>
+              ) : (
+                <>
                 <Card>
                   <div className="flex items-center justify-between">
-                    <div>
-                      <h3 className="text-xl font-semibold">{activeEvidenceObj.title}</h3>
-                      <div className="text-sm text-black/60">{activeEvidenceObj.type} • {formatDate(activeEvidenceObj.createdAt)}</div>
-                    </div>
-                    <div className="flex gap-2">
-                      <Button onClick={() => { setEditingEvidence(activeEvidenceObj); setShowEvidenceModal(true); }}>Edit</Button>
-                      <Button onClick={() => deleteEvidence(activeEvidenceObj.id)}>Delete</Button>
-                    </div>
+                    <h3 className="font-semibold">Evidence Threads ({evidenceForSelected.length})</h3>
+                    {canEdit && <PrimaryButton onClick={() => { setEditingEvidence(null); setShowEvidenceModal(true); }}>+ New Evidence</PrimaryButton>}
                   </div>
-
-                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-4">
-                    <div>
-                      <h4 className="font-semibold mb-2">New Entry</h4>
-                      <EntryForm onSubmit={(payload) => addEntry(activeEvidenceObj.id, payload)} />
-                    </div>
-
-                    <div>
-                      <h4 className="font-semibold mb-2">Thread ({activeEvidenceObj.entries?.length || 0})</h4>
-                      <div className="space-y-3 max-h-[50vh] overflow-auto pr-1">
-                        {(activeEvidenceObj.entries || []).map((en) => (
-                          <div key={en.id} className="rounded-xl border border-black/10 p-3">
-                            <div className="flex items-center justify-between text-sm">
-                              <div className="font-semibold">{en.author}</div>
-                              <div className="text-black/60">{formatDate(en.timestamp)}</div>
+                  <VirtualList
+                    className="mt-3 max-h-[60vh] pr-1"
+                    items={evidenceRows}
+                    itemKey={(row) => row.map((ev) => ev.id).join("/")}
+                    estimate={200}
+                    gap={12}
+                    renderItem={(row) => (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        {row.map((ev) => (
+                          <div key={ev.id} className={`rounded-xl border p-3 cursor-pointer ${activeEvidence === ev.id ? "border-black" : "border-black/10"}`} onClick={() => setActiveEvidence(ev.id)}>
+                            <div className="flex items-center justify-between gap-2">
+                              <div className="font-semibold truncate">{ev.title}</div>
+                              <span className="text-xs px-2 py-0.5 rounded-full border border-black/10 bg-black/5">{ev.type}</span>
                             </div>
-                            <p className="mt-1 whitespace-pre-wrap">{en.body}</p>
-                            {!!(en.attachments || []).length && (
-                              <div className="mt-2">
-                                <div className="text-sm font-medium">Attachments</div>
-                                <ul className="list-disc ml-6 text-sm">
-                                  {en.attachments.map((a, idx) => (
-                                    <li key={idx}><a className="underline break-all" href={a.url} target="_blank" rel="noreferrer">{a.label || a.url}</a></li>
-                                  ))}
-                                </ul>
+                            <div className="mt-1"><IntegrityBadge result={integrity[ev.id]} /></div>
+                            <CustodianLine evidence={ev} />
+                            <DispositionLine evidence={ev} />
+                            <CustomFieldList className="mt-1" fields={settings.customFields.evidence} record={ev} />
+                            <div className="mt-1 text-sm line-clamp-2 text-black/70">{markdownPlain(ev.summary)}</div>
+                            <div className="mt-2 flex flex-wrap gap-1">{(ev.tags || []).map((t) => <Tag key={t} onClick={() => filterByTag(t)}>{t}</Tag>)}</div>
+                            <div className="mt-2 text-xs text-black/60">Updated {formatDate(ev.updatedAt || ev.createdAt)}</div>
+                            {canEdit && (
+                              <div className="mt-2 flex items-center gap-2">
+                                <Button onClick={(e) => { e.stopPropagation(); setEditingEvidence(ev); setShowEvidenceModal(true); }}>Edit</Button>
+                                <Button onClick={(e) => { e.stopPropagation(); deleteEvidence(ev.id); }}>Delete</Button>
                               </div>
                             )}
                           </div>
                         ))}
-                        {!(activeEvidenceObj.entries || []).length && <div className="text-sm text-black/60">No entries yet.</div>}
                       </div>
-                    </div>
-                  </div>
+                    )}
+                  />
+                  {!evidenceForSelected.length && <div className="mt-3 text-sm text-black/60">No evidence yet. Create the first thread.</div>}
                 </Card>
+
+                {activeEvidenceObj && (
+                  <Card>
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <h3 className="text-xl font-semibold">{activeEvidenceObj.title}</h3>
+                        <div className="text-sm text-black/60 flex items-center gap-2">
+                          <span>{activeEvidenceObj.type} • {formatDate(activeEvidenceObj.createdAt)}</span>
+                          <IntegrityBadge result={integrity[activeEvidenceObj.id]} />
+                        </div>
+                        <DispositionLine evidence={activeEvidenceObj} />
+                      </div>
+                      <div className="flex gap-2">
+                        {canEdit && <Button onClick={() => { setEditingEvidence(activeEvidenceObj); setShowEvidenceModal(true); }}>Edit</Button>}
+                        <Button onClick={() => setCustodyReportFor(activeEvidenceObj.id)}>Custody report</Button>
+                        <Button onClick={() => setShowEvidenceHistory((v) => !v)}>History</Button>
+                        {canEdit && <Button onClick={() => deleteEvidence(activeEvidenceObj.id)}>Delete</Button>}
+                      </div>
+                    </div>
+                    <CustomFieldList className="mt-2" fields={settings.customFields.evidence} record={activeEvidenceObj} />
+                    {activeEvidenceObj.summary && (
+                      <Markdown className="mt-2 text-black/80" text={activeEvidenceObj.summary} resolveRef={refResolverFor(activeEvidenceObj.investigationId)} onOpenRef={openRef} />
+                    )}
+                    <div className="mt-2">{entityLinker({ recordType: "evidence", recordId: activeEvidenceObj.id })}</div>
+                    <Backlinks sources={backlinks.get(activeEvidenceObj.id)} onOpen={openRef} />
+                    {showEvidenceHistory && (
+                      <div className="mt-4 border-t border-black/10 pt-3">
+                        <h4 className="font-semibold mb-2">History</h4>
+                        <RevisionList revisions={revisionsByRecord.get(activeEvidenceObj.id) || []} />
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-4">
+                      <div>
+                        <h4 className="font-semibold mb-2">New Entry</h4>
+                        {canEdit ? (
+                          <EntryForm
+                            key={activeEvidenceObj.id}
+                            author={actorName}
+                            custodian={currentCustody(activeEvidenceObj)}
+                            disposition={currentDisposition(activeEvidenceObj)}
+                            onSubmit={(payload) => addEntry(activeEvidenceObj.id, payload)}
+                          />
+                        ) : (
+                          <div className="text-sm text-black/60">Viewers cannot add entries.</div>
+                        )}
+                      </div>
+
+                      <div>
+                        <h4 className="font-semibold mb-2">Thread ({thread.length})</h4>
+                        <VirtualList
+                          key={activeEvidenceObj.id}
+                          className="max-h-[50vh] pr-1"
+                          items={thread}
+                          estimate={140}
+                          gap={12}
+                          scrollToKey={threadItemId(focusedEntry)}
+                          renderItem={(item) => {
+                            const { entry: en, body, versions, redactions } = item;
+                            return (
+                              <div
+                                id={`entry-${en.id}`}
+                                className={`rounded-xl border p-3 ${threadItemId(integrity[activeEvidenceObj.id]?.entryId) === en.id ? "border-red-400 bg-red-50" : "border-black/10"} ${threadItemId(focusedEntry) === en.id ? "ring-2 ring-yellow-300" : ""}`}
+                              >
+                                <div className="flex items-center justify-between text-sm">
+                                  <div className="font-semibold">{en.author}</div>
+                                  <div className="text-black/60 text-right">
+                                    {en.occurredAt != null && <div>Occurred {formatInZone(en.occurredAt, en.timeZone)}</div>}
+                                    <div className={en.occurredAt != null ? "text-xs" : ""}>Recorded {formatDate(en.timestamp)}</div>
+                                  </div>
+                                </div>
+                                {isCustodyEntry(en) && <CustodyDetails custody={en.custody} />}
+                                {isDispositionEntry(en) && <DispositionDetails disposition={en.disposition} />}
+                                {body && <Markdown className="mt-1" text={body} resolveRef={refResolverFor(activeEvidenceObj.investigationId)} onOpenRef={openRef} />}
+                                <EntryVersions versions={versions} redactions={redactions} />
+                                {!!(en.attachments || []).length && (
+                                  <div className="mt-2">
+                                    <div className="text-sm font-medium">Attachments</div>
+                                    <ul className="list-disc ml-6 text-sm">
+                                      {en.attachments.map((a, idx) => (
+                                        <li key={idx}><AttachmentView attachment={a} /></li>
+                                      ))}
+                                    </ul>
+                                  </div>
+                                )}
+                                <div className="mt-2">{entityLinker({ recordType: "entry", recordId: en.id, evidenceId: activeEvidenceObj.id }, true)}</div>
+                                <div className="mt-2 flex items-center justify-between gap-2">
+                                  {en.hash && <div className="text-xs font-mono text-black/40" title={`hash ${en.hash}\nprev ${en.prevHash}`}>#{en.hash.slice(0, 12)}</div>}
+                                  {canEdit && (
+                                    <div className="flex gap-1 ml-auto">
+                                      <Button className="text-xs px-2 py-1" onClick={() => setEntryChange({ mode: "amend", evidenceId: activeEvidenceObj.id, item })}>Amend</Button>
+                                      <Button className="text-xs px-2 py-1" onClick={() => setEntryChange({ mode: "redact", evidenceId: activeEvidenceObj.id, item })}>Redact</Button>
+                                    </div>
+                                  )}
+                                </div>
+                              </div>
+                            );
+                          }}
+                        />
+                        {!thread.length && <div className="text-sm text-black/60">No entries yet.</div>}
+                      </div>
+                    </div>
+                  </Card>
+                )}
+                </>
               )}
             </>
           )}
@@ -643,7 +3569,16 @@ export default function App() {
         title={editingInvestigation ? "Edit Investigation" : "New Investigation"}
         wide
       >
+        <StaleRecordWarning
+          snapshot={editingInvestigation}
+          live={editingInvestigation && db.investigations.find((i) => i.id === editingInvestigation.id)}
+          onReload={setEditingInvestigation}
+        />
         <InvestigationForm
+          settings={settings}
+          canClose={can(currentUser, "closeInvestigation")}
+          knownTags={knownTags}
+          key={editingInvestigation ? `${editingInvestigation.id}-${editingInvestigation.updatedAt}` : "new"}
           initial={editingInvestigation || undefined}
           onSubmit={(payload) =>
             editingInvestigation ? updateInvestigation(editingInvestigation.id, payload) : createInvestigation(payload)
@@ -657,14 +3592,202 @@ export default function App() {
         onClose={() => { setShowEvidenceModal(false); setEditingEvidence(null); }}
         title={editingEvidence ? "Edit Evidence" : "New Evidence"}
       >
+        <StaleRecordWarning
+          snapshot={editingEvidence}
+          live={editingEvidence && db.evidence.find((e) => e.id === editingEvidence.id)}
+          onReload={setEditingEvidence}
+        />
         <EvidenceForm
+          settings={settings}
+          knownTags={knownTags}
+          key={editingEvidence ? `${editingEvidence.id}-${editingEvidence.updatedAt}` : "new"}
           initial={editingEvidence || undefined}
           onSubmit={(payload) => (editingEvidence ? updateEvidence(editingEvidence.id, payload) : createEvidence(selected, payload))}
         />
       </Modal>
 
+      {/* Case report */}
+      <Modal open={showReportOptions && !!selectedInvestigation} onClose={() => setShowReportOptions(false)} title="Generate case report">
+        {selectedInvestigation && <ReportOptions investigation={selectedInvestigation} evidence={evidence} onGenerate={generateReport} />}
+      </Modal>
+
+      {/* Amend / redact an entry */}
+      <Modal open={!!entryChange} onClose={() => setEntryChange(null)} title={entryChange?.mode === "redact" ? "Redact entry" : "Amend entry"}>
+        {entryChange?.mode === "amend" && <AmendForm item={entryChange.item} onSubmit={submitEntryChange} />}
+        {entryChange?.mode === "redact" && <RedactForm item={entryChange.item} onSubmit={submitEntryChange} />}
+      </Modal>
+
+      {/* Custody report */}
+      <Modal
+        open={!!custodyReportFor && !!activeEvidenceObj}
+        onClose={() => setCustodyReportFor(null)}
+        title={`Custody report — ${activeEvidenceObj?.title || ""}`}
+        wide
+      >
+        {activeEvidenceObj && (
+          <CustodyReport
+            evidence={activeEvidenceObj}
+            onOpenEntry={(entryId) => {
+              setCustodyReportFor(null);
+              setFocusedEntry(entryId);
+            }}
+          />
+        )}
+      </Modal>
+
+      {/* Profiles */}
+      <Modal open={showUsers && !!currentUser} onClose={() => setShowUsers(false)} title="Profiles" wide>
+        {currentUser && (
+          <UserManager
+            users={db.users}
+            currentUser={currentUser}
+            onCreate={(data) => permitted("manage") && createUser(data)}
+            onUpdate={updateUser}
+            onDelete={deleteUser}
+            onSwitch={() => {
+              setShowUsers(false);
+              setUserId("");
+            }}
+          />
+        )}
+      </Modal>
+
+      {/* Sync */}
+      <Modal open={showSync} onClose={() => setShowSync(false)} title="Team sync" wide>
+        <SyncSettings
+          db={db}
+          status={syncStatus}
+          pending={pendingSync}
+          online={online}
+          onConnect={connectSync}
+          onDisconnect={disconnectSync}
+          onSync={syncNow}
+          onResolve={async (key, choice) => {
+            await resolveSyncConflict(key, choice);
+            syncNow();
+          }}
+        />
+      </Modal>
+
+      {/* Tags */}
+      <Modal open={showTags} onClose={() => setShowTags(false)} title="Tags" wide>
+        <TagManager
+          usage={tags}
+          readOnly={!canEdit}
+          onRename={(from, to) => setDb((prev) => renameTags(prev, from, to, actorName))}
+          onUnify={() => setDb((prev) => unifyTagSpellings(prev, actorName))}
+          onFilter={filterByTag}
+        />
+      </Modal>
+
+      {/* Settings */}
+      <Modal open={showSettings} onClose={() => setShowSettings(false)} title="Settings" wide>
+        {showSettings && <SettingsView settings={settings} onSave={saveSettings} />}
+      </Modal>
+
+      {/* Encryption */}
+      <Modal open={showEncryption} onClose={() => setShowEncryption(false)} title="Encryption">
+        <EncryptionSettings
+          lock={lock}
+          onEnable={async (passphrase) => {
+            await changeEncryption(await createLock(passphrase));
+            setShowEncryption(false);
+          }}
+          onChangePassphrase={async (current, passphrase) => {
+            await openLock(lock, current);
+            await changeEncryption(await createLock(passphrase, lock.autoLockMinutes));
+            setShowEncryption(false);
+          }}
+          onDisable={async (passphrase) => {
+            await openLock(lock, passphrase);
+            await changeEncryption(null);
+            setShowEncryption(false);
+          }}
+          onAutoLock={(minutes) => updateLockSettings({ autoLockMinutes: minutes }).then(setLock, (e) => alert("Could not save: " + e.message))}
+        />
+      </Modal>
+
+      {/* Passphrase prompt */}
+      <Modal
+        open={!!passphraseRequest}
+        onClose={() => {
+          passphraseRequest?.resolve(null);
+          setPassphraseRequest(null);
+        }}
+        title={passphraseRequest?.title || ""}
+      >
+        {passphraseRequest && (
+          <PassphraseForm
+            confirm={passphraseRequest.confirm}
+            onSubmit={(passphrase) => {
+              passphraseRequest.resolve(passphrase);
+              setPassphraseRequest(null);
+            }}
+          />
+        )}
+      </Modal>
+
+      {/* Entity registry */}
+      <Modal open={showEntities} onClose={() => setShowEntities(false)} title="Entities" wide>
+        <EntityRegistry
+          db={db}
+          entities={entities}
+          onCreate={createEntity}
+          onUpdate={updateEntity}
+          onDelete={deleteEntity}
+          readOnly={!canEdit}
+          onOpen={(investigationId, evidenceId, entryId) => {
+            setShowEntities(false);
+            openHit(investigationId, evidenceId || null, entryId);
+          }}
+        />
+      </Modal>
+
+      {/* Trash */}
+      <Modal open={showTrash} onClose={() => setShowTrash(false)} title="Trash" wide>
+        <TrashView db={db} onRestore={canEdit ? restoreFromTrash : null} onPurge={can(currentUser, "manage") ? purgeFromTrash : null} />
+      </Modal>
+
+      {/* Import review modal */}
+      <Modal open={!!pendingImport} onClose={() => setPendingImport(null)} title={`Import ${pendingImport?.fileName || ""}`} wide>
+        {pendingImport && (
+          <ImportReview
+            key={pendingImport.fileName}
+            pending={pendingImport}
+            localCounts={{ investigations: investigations.length, evidence: evidence.length }}
+            onMerge={commitMerge}
+            onReplace={commitReplace}
+          />
+        )}
+      </Modal>
+
+      {/* Import validation errors */}
+      <Modal open={!!csvImport} onClose={() => setCsvImport(null)} title={`Import ${csvImport?.fileName || ""}`} wide>
+        {csvImport && <CSVImportMapping key={csvImport.fileName} pending={csvImport} columns={csvColumns(settings, true)} onImport={importCSV} />}
+      </Modal>
+
+      <Modal open={!!importErrors} onClose={() => setImportErrors(null)} title={`Cannot import ${importErrors?.fileName || ""}`} wide>
+        {importErrors && (
+          <div className="space-y-3">
+            <div className="text-sm">The file was not imported. {importErrors.problems.length} problem(s) found:</div>
+            <ul className="max-h-[50vh] overflow-auto text-sm font-mono space-y-1 pr-1">
+              {importErrors.problems.slice(0, 500).map((p, idx) => (
+                <li key={idx}>
+                  <span className="text-red-700">{p.path}</span> {p.message}
+                </li>
+              ))}
+            </ul>
+            {importErrors.problems.length > 500 && <div className="text-xs text-black/60">…and {importErrors.problems.length - 500} more.</div>}
+          </div>
+        )}
+      </Modal>
+
       <footer className="max-w-7xl mx-auto px-4 pb-10 text-center text-xs text-black/60">
-        <div className="mt-6">Stored locally in your browser. Use Export/Import to back up or move between devices.</div>
+        <div className="mt-6">
+          {db.sync
+            ? `Stored in your browser (IndexedDB) and synced with ${db.sync.server}.`
+            : "Stored locally in your browser (IndexedDB). Use Export/Import to back up or move between devices, or connect a sync server to share with your team."}
+        </div>
       </footer>
     </div>
   );
@@ -0,0 +1,3459 @@
+// Evidence database without the UI: records, revisions, hash-chained entries, merging, sync,
+// import/export and search. App.jsx imports everything it shows from here; scripts and tests can
+// use it directly through openEvidenceDB (see "Headless API" at the end). Node 18+ for scripts:
+//
+//   import { openEvidenceDB, fileStorage } from "./evidence-db.mjs";
+//
+// IndexedDB, localStorage and BroadcastChannel are only touched by the browser storage functions.
+
+const uuid = () => crypto.randomUUID();
+
+// ---- Storage (IndexedDB, one object store per record kind) ----
+// The original app kept everything in a single localStorage blob under LEGACY_STORAGE_KEY.
+// It is upgraded into IndexedDB on first load and then removed.
+const LEGACY_STORAGE_KEY = "rp-evidence-db-v1";
+// Free-text "acting as" name from before profiles; only used to pre-fill the first profile.
+export const ACTOR_KEY = "rp-evidence-actor";
+export const CURRENT_USER_KEY = "rp-evidence-user";
+const IDB_NAME = "rp-evidence-db";
+const IDB_VERSION = 5;
+export const DB_VERSION = 7;
+
+export function emptyDB() {
+  return {
+    investigations: [],
+    evidence: [],
+    revisions: [],
+    entities: [],
+    entityLinks: [],
+    users: [],
+    settings: defaultSettings(),
+    mergeBase: {},
+    sync: null,
+    version: DB_VERSION,
+  };
+}
+
+// Data migrations, keyed by the version they upgrade from. Each step returns the next version.
+const MIGRATIONS = {
+  // v1: single localStorage blob with loosely shaped records.
+  1: (db) => ({
+    ...db,
+    investigations: (db.investigations || []).map((i) => ({ ...i, tags: i.tags || [] })),
+    evidence: (db.evidence || []).map((e) => ({
+      ...e,
+      tags: e.tags || [],
+      entries: (e.entries || []).map((en) => ({ ...en, attachments: en.attachments || [] })),
+    })),
+    version: 2,
+  }),
+  // v2 entries had no hash chain. Seal existing threads, but never reseal one that already carries
+  // hashes: a tampered file must fail verification rather than be silently re-chained.
+  2: async (db) => ({
+    ...db,
+    evidence: await Promise.all(
+      db.evidence.map(async (e) => ((e.entries || []).some((en) => en.hash) ? e : { ...e, entries: await sealChain(e.entries) }))
+    ),
+    version: 3,
+  }),
+  // v3 had no revision log.
+  3: (db) => ({ ...db, revisions: db.revisions || [], version: 4 }),
+  // v4 had no entity registry.
+  4: (db) => ({ ...db, entities: db.entities || [], entityLinks: db.entityLinks || [], version: 5 }),
+  // v5 used the built-in statuses and evidence types.
+  5: (db) => ({ ...db, settings: db.settings || defaultSettings(), version: 6 }),
+  // v6 had no profiles; existing entries keep their free-text author.
+  6: (db) => ({ ...db, users: db.users || [], version: 7 }),
+};
+
+export async function migrateDB(db) {
+  let out = db;
+  while ((out.version || 1) < DB_VERSION) {
+    const from = out.version || 1;
+    if (!MIGRATIONS[from]) throw new Error(`No migration from data version ${from}`);
+    out = await MIGRATIONS[from](out);
+  }
+  return out;
+}
+
+// Each store lists the in-memory objects it persists. Records are immutable, so a row whose `ref`
+// is identical to the previous save is unchanged and is not written again. `apply` folds rows
+// written by another tab back into an in-memory DB.
+const STORES = [
+  {
+    name: "investigations",
+    rows: (db) => db.investigations.map((i) => ({ ref: i, record: () => i })),
+    apply: (db, put, del) => ({ ...db, investigations: replaceRows(db.investigations, put, del) }),
+  },
+  {
+    name: "evidence",
+    rows: (db) =>
+      db.evidence.map((e) => ({
+        ref: e,
+        record: () => {
+          const { entries, ...rest } = e;
+          return rest;
+        },
+      })),
+    apply: (db, put, del) => {
+      const local = new Map(db.evidence.map((e) => [e.id, e]));
+      return { ...db, evidence: replaceRows(db.evidence, put.map((e) => ({ ...e, entries: local.get(e.id)?.entries || [] })), del) };
+    },
+  },
+  {
+    name: "entries",
+    rows: (db) =>
+      db.evidence.flatMap((e) => {
+        const list = e.entries || [];
+        // Entries are kept newest-first; seq counts from the oldest so it is stable as entries are added.
+        return list.map((en, idx) => ({ ref: en, record: () => ({ ...en, evidenceId: e.id, seq: list.length - 1 - idx }) }));
+      }),
+    apply: (db, put, del) => {
+      const gone = new Set(del);
+      const byEvidence = new Map();
+      put.forEach(({ evidenceId, seq, ...en }) => {
+        if (!byEvidence.has(evidenceId)) byEvidence.set(evidenceId, []);
+        byEvidence.get(evidenceId).push({ en, seq });
+      });
+      return {
+        ...db,
+        evidence: db.evidence.map((e) => {
+          const list = e.entries || [];
+          const incoming = byEvidence.get(e.id) || [];
+          if (!incoming.length && !list.some((en) => gone.has(en.id))) return e;
+          const rows = new Map(list.map((en, idx) => [en.id, { en, seq: list.length - 1 - idx }]));
+          gone.forEach((id) => rows.delete(id));
+          incoming.forEach((row) => rows.set(row.en.id, row));
+          return { ...e, entries: [...rows.values()].sort((a, b) => b.seq - a.seq).map((x) => x.en) };
+        }),
+      };
+    },
+  },
+  {
+    name: "revisions",
+    rows: (db) => db.revisions.map((r) => ({ ref: r, record: () => r })),
+    apply: (db, put, del) => ({ ...db, revisions: replaceRows(db.revisions, put, del, "end") }),
+  },
+  {
+    name: "entities",
+    rows: (db) => db.entities.map((e) => ({ ref: e, record: () => e })),
+    apply: (db, put, del) => ({ ...db, entities: replaceRows(db.entities, put, del) }),
+  },
+  {
+    name: "entityLinks",
+    rows: (db) => db.entityLinks.map((l) => ({ ref: l, record: () => l })),
+    apply: (db, put, del) => ({ ...db, entityLinks: replaceRows(db.entityLinks, put, del, "end") }),
+  },
+  {
+    name: "users",
+    rows: (db) => db.users.map((u) => ({ ref: u, record: () => u })),
+    apply: (db, put, del) => ({ ...db, users: replaceRows(db.users, put, del) }),
+  },
+];
+const STORE_NAMES = STORES.map((s) => s.name);
+// Top-level DB values that are not record lists; each is one row of the `meta` store.
+const META_FIELDS = ["version", "mergeBase", "settings", "sync"];
+
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+let idbPromise = null;
+function openIDB() {
+  if (!idbPromise) {
+    idbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not available in this browser.");
+      const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+      req.onupgradeneeded = () => {
+        const idb = req.result;
+        STORE_NAMES.forEach((name) => {
+          if (!idb.objectStoreNames.contains(name)) idb.createObjectStore(name, { keyPath: "id" });
+        });
+        if (!idb.objectStoreNames.contains("meta")) idb.createObjectStore("meta", { keyPath: "key" });
+        if (!idb.objectStoreNames.contains(FILE_STORE)) idb.createObjectStore(FILE_STORE, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("Storage upgrade blocked. Close other Evidence Log tabs and reload."));
+    });
+  }
+  return idbPromise;
+}
+
+function joinDB(records, meta) {
+  const entriesByEvidence = {};
+  records.entries.forEach(({ evidenceId, seq, ...en }) => {
+    (entriesByEvidence[evidenceId] ||= []).push({ seq, en });
+  });
+  return {
+    ...emptyDB(),
+    ...meta,
+    investigations: records.investigations,
+    evidence: records.evidence.map((e) => ({
+      ...e,
+      entries: (entriesByEvidence[e.id] || []).sort((a, b) => b.seq - a.seq).map((x) => x.en),
+    })),
+    revisions: records.revisions,
+    entities: records.entities,
+    entityLinks: records.entityLinks,
+    users: records.users,
+  };
+}
+
+function readLegacyDB() {
+  const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    // Leave the key in place so the data is not lost; start empty.
+    console.error("Failed to parse legacy localStorage DB", e);
+    return null;
+  }
+}
+
+export async function loadDB() {
+  const idb = await openIDB();
+  const tx = idb.transaction([...STORE_NAMES, "meta"], "readonly");
+  const [metaRows, ...lists] = await Promise.all([
+    requestResult(tx.objectStore("meta").getAll()),
+    ...STORE_NAMES.map((name) => requestResult(tx.objectStore(name).getAll())),
+  ]);
+  const lock = metaRows.find((row) => row.key === "lock")?.value || null;
+  if (lock && lock.id !== storageLock?.id) throw lockedError();
+  if (!lock) storageLock = null; // turned off in another tab
+  const key = storageLock?.key;
+  const meta = Object.fromEntries(
+    await Promise.all(metaRows.filter((row) => row.key !== "lock").map(async (row) => [row.key, row.iv ? await openRow(row, key) : row.value]))
+  );
+  const records = await Promise.all(lists.map((rows) => Promise.all(rows.map((row) => openRow(row, key)))));
+
+  if (meta.version === undefined) {
+    // First run on IndexedDB: bring over whatever the localStorage versions left behind. The
+    // index.html "evidenceLog" key is only read; that page still uses it.
+    const legacy = readLegacyDB();
+    let db = legacy ? await migrateDB({ ...emptyDB(), ...legacy, version: legacy.version || 1 }) : emptyDB();
+    const evidenceLog = readLegacyEvidenceLog();
+    if (evidenceLog) {
+      const converted = convertLegacyEvidenceLog(evidenceLog);
+      const problems = validateDB(converted);
+      if (problems.length) console.error("Skipping legacy evidenceLog data", problems);
+      else {
+        const upgraded = await migrateDB(converted);
+        const known = new Set([...db.investigations, ...db.evidence].map((r) => r.id));
+        db = {
+          ...db,
+          investigations: [...db.investigations, ...upgraded.investigations.filter((r) => !known.has(r.id))],
+          evidence: [...db.evidence, ...upgraded.evidence.filter((r) => !known.has(r.id))],
+        };
+      }
+    }
+    await saveDB(null, db);
+    if (legacy) localStorage.removeItem(LEGACY_STORAGE_KEY);
+    return db;
+  }
+
+  const stored = joinDB(Object.fromEntries(STORE_NAMES.map((name, i) => [name, records[i]])), meta);
+  if (stored.version >= DB_VERSION) return stored;
+  const migrated = await migrateDB(stored);
+  await saveDB(null, migrated);
+  return migrated;
+}
+
+// Writes only the records that changed between `prev` and `next`. With no `prev`, every store is
+// cleared and rewritten (first run, migrations, and recovery after a failed save).
+// Resolves to what was written, { stores: { [name]: { put, delete } }, meta }, or { reload: true }
+// after a full rewrite, for broadcasting to other tabs. `options.lock` and `options.files` are
+// only used by rekeyStorage.
+export async function saveDB(prev, next, options = {}) {
+  const lock = storageLock;
+  const changes = { stores: {}, meta: {} };
+  STORES.forEach((store) => {
+    const written = { put: [], delete: [] };
+    changes.stores[store.name] = written;
+    const before = new Map(prev ? store.rows(prev).map((row) => [row.ref.id, row.ref]) : []);
+    const seen = new Set();
+    store.rows(next).forEach((row) => {
+      seen.add(row.ref.id);
+      if (before.get(row.ref.id) !== row.ref) written.put.push(row.record());
+    });
+    before.forEach((_, id) => {
+      if (!seen.has(id)) written.delete.push(id);
+    });
+  });
+  META_FIELDS.forEach((key) => {
+    if (!prev || prev[key] !== next[key]) changes.meta[key] = next[key];
+  });
+
+  // Encrypt up front: a transaction left waiting on other promises commits early. The data version
+  // stays readable so that a locked DB can still be recognised and upgraded.
+  const puts = await Promise.all(
+    STORES.map((store) => Promise.all(changes.stores[store.name].put.map((r) => (lock ? sealRow("id", r.id, r, lock.key) : r))))
+  );
+  const metaPuts = await Promise.all(
+    Object.entries(changes.meta).map(([key, value]) => (lock && key !== "version" ? sealRow("key", key, value, lock.key) : { key, value }))
+  );
+  if (!("lock" in options)) await assertSameLock(lock);
+
+  const idb = await openIDB();
+  const tx = idb.transaction([...STORE_NAMES, "meta", ...(options.files ? [FILE_STORE] : [])], "readwrite");
+  const done = transactionDone(tx);
+  try {
+    STORES.forEach((store, i) => {
+      const os = tx.objectStore(store.name);
+      if (!prev) os.clear();
+      puts[i].forEach((row) => os.put(row));
+      changes.stores[store.name].delete.forEach((id) => os.delete(id));
+    });
+    const metaStore = tx.objectStore("meta");
+    metaPuts.forEach((row) => metaStore.put(row));
+    if (options.lock) metaStore.put({ key: "lock", value: options.lock });
+    else if ("lock" in options) metaStore.delete("lock");
+    options.files?.forEach((row) => tx.objectStore(FILE_STORE).put(row));
+  } catch (e) {
+    tx.abort();
+    done.catch(() => {});
+    throw e;
+  }
+  await done;
+  return prev ? changes : { reload: true };
+}
+
+export function describeStorageError(e) {
+  if (e?.name === "QuotaExceededError") {
+    return "Browser storage is full. Your latest changes were NOT saved. Export a backup, then remove old records to free space.";
+  }
+  return `Storage error: ${e?.message || e}. Your latest changes may not have been saved.`;
+}
+
+// ---- Encryption at rest ----
+// Optional lock mode. A passphrase is stretched with PBKDF2-SHA-256 into an AES-GCM key. While the
+// lock is on, every IndexedDB row (records, mergeBase, attachment blobs) is stored as { id, iv, data };
+// only the data version and the lock descriptor stay readable:
+//   meta "lock": { id, salt, iterations, check, autoLockMinutes }
+// `check` is LOCK_CHECK encrypted with the key, so a wrong passphrase is caught at unlock.
+const PBKDF2_ITERATIONS = 310000;
+const LOCK_CHECK = "rp-evidence-lock";
+export const DEFAULT_AUTO_LOCK_MINUTES = 10;
+
+// Lock id and key of the unlocked DB; null when the lock is off or the DB is locked.
+let storageLock = null;
+
+function toBase64(bytes) {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(text);
+}
+
+function fromBase64(text) {
+  const bin = atob(text);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, material, { name: "AES-GCM", length: 256 }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  return { iv, data: new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes)) };
+}
+
+async function decryptBytes(key, iv, data) {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, data));
+}
+
+function lockedError(message = "The evidence database is locked.") {
+  const e = new Error(message);
+  e.name = "StorageLockedError";
+  return e;
+}
+
+async function sealRow(keyField, id, value, key) {
+  return { [keyField]: id, ...(await encryptBytes(key, new TextEncoder().encode(JSON.stringify(value)))) };
+}
+
+// Plain rows are returned as they are.
+async function openRow(row, key) {
+  if (!row?.iv) return row;
+  if (!key) throw lockedError();
+  return JSON.parse(new TextDecoder().decode(await decryptBytes(key, row.iv, row.data)));
+}
+
+export async function createLock(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const check = await encryptBytes(key, new TextEncoder().encode(LOCK_CHECK));
+  const lock = {
+    id: uuid(),
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    check: { iv: toBase64(check.iv), data: toBase64(check.data) },
+    autoLockMinutes,
+  };
+  return { lock, key };
+}
+
+export async function openLock(lock, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64(lock.salt), lock.iterations);
+  try {
+    const check = await decryptBytes(key, fromBase64(lock.check.iv), fromBase64(lock.check.data));
+    if (new TextDecoder().decode(check) === LOCK_CHECK) return key;
+  } catch {
+    // AES-GCM authentication fails with the wrong key.
+  }
+  throw new Error("Wrong passphrase.");
+}
+
+export async function readLock() {
+  const idb = await openIDB();
+  const row = await requestResult(idb.transaction("meta", "readonly").objectStore("meta").get("lock"));
+  return row?.value || null;
+}
+
+// Saves refuse to run when another tab turned the lock on or off, or changed the passphrase.
+async function assertSameLock(lock) {
+  const stored = await readLock();
+  if ((stored?.id || null) !== (lock?.id || null)) throw lockedError("Encryption was changed in another tab.");
+}
+
+export async function unlockStorage(passphrase) {
+  const lock = await readLock();
+  storageLock = lock ? { id: lock.id, key: await openLock(lock, passphrase) } : null;
+}
+
+export function lockStorage() {
+  storageLock = null;
+}
+
+// Rewrites the whole DB and every stored file under `next` ({ lock, key } from createLock, or null to
+// store plaintext) in a single transaction.
+export async function rekeyStorage(db, next) {
+  const previous = storageLock;
+  const idb = await openIDB();
+  const rows = await requestResult(idb.transaction(FILE_STORE, "readonly").objectStore(FILE_STORE).getAll());
+  const blobs = await Promise.all(rows.map(async (row) => ({ id: row.id, blob: await fileBlob(row, previous?.key) })));
+  storageLock = next && { id: next.lock.id, key: next.key };
+  try {
+    const files = await Promise.all(blobs.map(({ id, blob }) => fileRow(id, blob)));
+    return await saveDB(null, db, { lock: next ? next.lock : null, files });
+  } catch (e) {
+    storageLock = previous;
+    throw e;
+  }
+}
+
+export async function updateLockSettings(patch) {
+  const lock = { ...(await readLock()), ...patch };
+  const idb = await openIDB();
+  const tx = idb.transaction("meta", "readwrite");
+  const done = transactionDone(tx);
+  tx.objectStore("meta").put({ key: "lock", value: lock });
+  await done;
+  return lock;
+}
+
+// Last resort for a forgotten passphrase: deletes the whole database.
+export async function eraseStorage() {
+  const idb = await openIDB();
+  idb.close();
+  idbPromise = null;
+  storageLock = null;
+  await new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(IDB_NAME);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Close other Evidence Log tabs and try again."));
+  });
+}
+
+// ---- Encrypted exports ----
+// Exports can be wrapped in a self-describing envelope, decrypted on import with the same passphrase:
+//   { format, version, contentType, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data }
+// contentType is that of the wrapped bytes: application/json (Export JSON) or application/zip (bundle).
+const ENCRYPTED_FORMAT = "rp-evidence-encrypted";
+
+export async function encryptExport(bytes, contentType, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const { iv, data } = await encryptBytes(key, bytes);
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: 1,
+    contentType,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(data),
+  };
+}
+
+// The envelope if `bytes` is an encrypted export, otherwise null.
+export function parseEncryptedExport(bytes) {
+  if (bytes[0] !== 0x7b) return null; // "{"
+  try {
+    const parsed = JSON.parse(new TextDecoder().decode(bytes));
+    return parsed?.format === ENCRYPTED_FORMAT ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function decryptExport(envelope, passphrase) {
+  if (envelope.version !== 1) throw new Error(`Unsupported encrypted export version ${envelope.version}`);
+  const key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+  try {
+    return { contentType: envelope.contentType, bytes: await decryptBytes(key, fromBase64(envelope.cipher.iv), fromBase64(envelope.data)) };
+  } catch {
+    throw new Error("Wrong passphrase, or the file is damaged.");
+  }
+}
+
+// ---- Multi-tab sync ----
+// Every tab writes to the same IndexedDB. After each save a tab broadcasts the rows it wrote, and
+// the other tabs apply them to their in-memory DB (STORES[].apply), so no tab keeps working from a
+// stale copy and later overwrites another tab's records. A full rewrite is announced as { reload: true }.
+// Browsers without BroadcastChannel get a localStorage ping and reload everything.
+const SYNC_CHANNEL = "rp-evidence-sync";
+const TAB_ID = uuid();
+let syncChannel = null;
+
+function getSyncChannel() {
+  if (typeof BroadcastChannel === "undefined") return null;
+  if (!syncChannel) syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+  return syncChannel;
+}
+
+function hasChanges(changes) {
+  return changes.reload || Object.keys(changes.meta).length > 0 || Object.values(changes.stores).some((c) => c.put.length || c.delete.length);
+}
+
+export function broadcastChanges(changes) {
+  if (!hasChanges(changes)) return;
+  const channel = getSyncChannel();
+  if (channel) channel.postMessage({ source: TAB_ID, ...changes });
+  else localStorage.setItem(SYNC_CHANNEL, `${TAB_ID}:${Date.now()}`);
+}
+
+// Returns an unsubscribe function.
+export function subscribeToOtherTabs(onChanges) {
+  const channel = getSyncChannel();
+  if (channel) {
+    const onMessage = (e) => e.data?.source !== TAB_ID && onChanges(e.data);
+    channel.addEventListener("message", onMessage);
+    return () => channel.removeEventListener("message", onMessage);
+  }
+  const onStorage = (e) => e.key === SYNC_CHANNEL && e.newValue && onChanges({ reload: true });
+  window.addEventListener("storage", onStorage);
+  return () => window.removeEventListener("storage", onStorage);
+}
+
+// Replaces, removes and adds rows by id. New rows go first (`at` "start") or last.
+function replaceRows(list, put, del, at = "start") {
+  if (!put.length && !del.length) return list;
+  const incoming = new Map(put.map((r) => [r.id, r]));
+  const gone = new Set(del);
+  const known = new Set(list.map((r) => r.id));
+  const kept = list.filter((r) => !gone.has(r.id)).map((r) => incoming.get(r.id) || r);
+  const added = put.filter((r) => !known.has(r.id));
+  return at === "start" ? [...added, ...kept] : [...kept, ...added];
+}
+
+export function applyStoreChanges(db, changes) {
+  let next = db;
+  STORES.forEach((store) => {
+    const c = changes.stores[store.name];
+    if (c && (c.put.length || c.delete.length)) next = store.apply(next, c.put, c.delete);
+  });
+  Object.entries(changes.meta).forEach(([key, value]) => {
+    next = { ...next, [key]: value };
+  });
+  return next;
+}
+
+// ---- Data types ----
+// Investigation: { id, title, caseNumber, description, status, createdAt, updatedAt, tags: [], custom?, deletedAt?, deletedBy? }
+// Evidence: { id, investigationId, title, type, summary, createdAt, updatedAt, tags: [], entries: [], custom?, maskedEntries?, deletedAt?, deletedBy?, deletedWith? }
+//   `maskedEntries` lists the entries a redacted export masked, kept when such an export is imported.
+// Entry: { id, author, authorId?, body, timestamp, attachments: [{label, url} | {label, name, type, size, sha256}], prevHash, hash, kind?, custody?, disposition?, amendment?, redaction?, occurredAt?, timeZone? }
+//   `timestamp` is when the entry was recorded; `occurredAt` when the event happened, entered in `timeZone` (IANA name).
+// Revision: { id, recordType, recordId, title, action, at, by, changes: [{field, from, to}] }
+// Entity: { id, kind, name, aliases: [], details, createdAt, updatedAt, deletedAt?, deletedBy? }
+// EntityLink: { id, entityId, recordType, recordId, evidenceId?, createdAt, updatedAt, by, removedAt? }
+// User: { id, name, badge, role: "lead" | "investigator" | "viewer", createdAt, updatedAt, deletedAt?, deletedBy? }
+// In IndexedDB, entries live in their own store as { ...entry, evidenceId, seq }. With encryption on,
+// every row is { id, iv, data } (see "Encryption at rest").
+
+// ---- Utility ----
+export function formatDate(ts) {
+  try {
+    return new Date(ts).toLocaleString();
+  } catch {
+    return ts;
+  }
+}
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Value for <input type="datetime-local"> in the browser's time zone.
+export function toDateTimeInput(ts) {
+  const d = new Date(ts);
+  return new Date(ts - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+export const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// How far `timeZone` is ahead of UTC at `ts`, in milliseconds.
+function zoneOffset(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(ts);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return Date.UTC(part("year"), part("month") - 1, part("day"), part("hour"), part("minute"), part("second")) - Math.floor(ts / 1000) * 1000;
+}
+
+// A datetime-local value ("2025-03-01T14:30") read as wall-clock time in `timeZone`; NaN if invalid.
+export function fromZonedInput(value, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || "");
+  if (!m || !isTimeZone(timeZone)) return NaN;
+  const wall = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]));
+  // The offset can differ either side of a DST change, so it is taken again at the first guess.
+  return wall - zoneOffset(wall - zoneOffset(wall, timeZone), timeZone);
+}
+
+export function isTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ISO 8601 with the zone's offset, e.g. "2025-03-01T14:30:00.000+01:00"; UTC without a valid zone.
+export function isoInZone(ts, timeZone) {
+  if (!isTimeZone(timeZone)) return new Date(ts).toISOString();
+  const offset = zoneOffset(ts, timeZone);
+  const minutes = Math.abs(offset) / 60000;
+  const sign = offset < 0 ? "-" : "+";
+  return `${new Date(ts + offset).toISOString().slice(0, 23)}${sign}${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+export function formatInZone(ts, timeZone) {
+  if (!isTimeZone(timeZone)) return formatDate(ts);
+  return `${new Date(ts).toLocaleString(undefined, { timeZone })} (${timeZone})`;
+}
+
+export function formatBytes(n) {
+  if (!Number.isFinite(n)) return "";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export function exportFileName(ext) {
+  return `evidence-export-${new Date().toISOString().slice(0, 19)}.${ext}`;
+}
+
+function csvSafe(s) {
+  if (s == null) return "";
+  const needsQuotes = /[",\r\n]/.test(String(s));
+  let out = String(s).replaceAll('"', '""');
+  return needsQuotes ? `"${out}"` : out;
+}
+
+// ---- Attachment files ----
+// Uploaded files are kept as blobs in the `files` store, keyed by their SHA-256 digest, so the
+// same file attached twice is stored once. Entries only carry the metadata:
+//   { label, name, type, size, sha256 }   (link attachments stay { label, url })
+const FILE_STORE = "files";
+
+// With the lock on, a file row is { id, iv, data, type } instead of { id, blob }.
+async function fileRow(id, blob) {
+  if (!storageLock) return { id, blob };
+  return { id, type: blob.type, ...(await encryptBytes(storageLock.key, new Uint8Array(await blob.arrayBuffer()))) };
+}
+
+async function fileBlob(row, key) {
+  if (!row.iv) return row.blob;
+  if (!key) throw lockedError();
+  return new Blob([await decryptBytes(key, row.iv, row.data)], { type: row.type });
+}
+
+export async function putFiles(files) {
+  const rows = await Promise.all(files.map(({ sha256, blob }) => fileRow(sha256, blob)));
+  const idb = await openIDB();
+  const tx = idb.transaction(FILE_STORE, "readwrite");
+  const done = transactionDone(tx);
+  rows.forEach((row) => tx.objectStore(FILE_STORE).put(row));
+  await done;
+}
+
+export async function getFile(sha256) {
+  const idb = await openIDB();
+  const row = await requestResult(idb.transaction(FILE_STORE, "readonly").objectStore(FILE_STORE).get(sha256));
+  return row ? fileBlob(row, storageLock?.key) : null;
+}
+
+export function fileAttachments(db) {
+  return db.evidence.flatMap((e) => (e.entries || []).flatMap((en) => (en.attachments || []).filter((a) => a.sha256)));
+}
+
+// Deletes stored blobs that no entry refers to any more.
+export async function pruneFiles(db) {
+  const used = new Set(fileAttachments(db).map((a) => a.sha256));
+  const idb = await openIDB();
+  const tx = idb.transaction(FILE_STORE, "readwrite");
+  const done = transactionDone(tx);
+  const keys = await requestResult(tx.objectStore(FILE_STORE).getAllKeys());
+  keys.filter((k) => !used.has(k)).forEach((k) => tx.objectStore(FILE_STORE).delete(k));
+  await done;
+}
+
+export async function describeFile(file) {
+  const sha256 = await sha256Hex(await file.arrayBuffer());
+  return { label: file.name, name: file.name, type: file.type || "application/octet-stream", size: file.size, sha256 };
+}
+
+// ---- Zip bundles ----
+// Bundled exports are plain zip files: evidence.json plus attachments/<sha256>. Files are written
+// uncompressed (attachments are mostly images and PDFs); reading also accepts deflated entries.
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }]
+export function makeZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((n, p) => n + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type: "application/zip" });
+}
+
+// Returns a Map of entry name -> Uint8Array.
+async function readZip(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip file");
+
+  const decoder = new TextDecoder();
+  const out = new Map();
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("Corrupt zip directory");
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, p + 46, nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith("/")) continue;
+
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = new Uint8Array(buffer, start, size);
+    if (method === 0) out.set(name, raw);
+    else if (method === 8) {
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+      out.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+    } else throw new Error(`Unsupported compression in ${name}`);
+  }
+  return out;
+}
+
+// ---- Integrity (per-thread SHA-256 hash chain) ----
+// Every entry is sealed with hash = SHA-256(canonicalJSON(entry without `hash`)), and that content
+// includes prevHash, the hash of the entry before it in the thread (GENESIS_HASH for the first one).
+// Editing, reordering or removing an entry in the middle of a thread breaks every later link.
+const GENESIS_HASH = "0".repeat(64);
+const UNHASHED_ENTRY_FIELDS = ["hash"];
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map((v) => canonicalJSON(v === undefined ? null : v)).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export async function sha256Hex(data) {
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function entryContent(entry) {
+  const content = { ...entry };
+  UNHASHED_ENTRY_FIELDS.forEach((f) => delete content[f]);
+  return content;
+}
+
+// Entries are stored newest-first, so the head of the chain is the first element.
+export function chainHead(entries) {
+  return entries?.[0]?.hash || GENESIS_HASH;
+}
+
+export async function sealEntry(entry, prevHash) {
+  const sealed = { ...entry, prevHash };
+  return { ...sealed, hash: await sha256Hex(canonicalJSON(entryContent(sealed))) };
+}
+
+// Seals a whole thread from the genesis hash. Only used for entries that predate the chain.
+async function sealChain(entries) {
+  const sealed = [];
+  let prev = GENESIS_HASH;
+  for (const en of [...(entries || [])].reverse()) {
+    const next = await sealEntry(en, prev);
+    sealed.unshift(next);
+    prev = next.hash;
+  }
+  return sealed;
+}
+
+// Returns { ok: true, head, partial? } or { ok: false, index, entryId, reason }, where index counts
+// entries from the oldest one, starting at 1. Entries masked by a redacted export keep their original
+// hash, so their content cannot be checked: they are only accepted when `masked` (the entry ids listed
+// in the export manifest) has them and a redaction in the thread covers them, and the chain is then
+// only `partial`ly verified.
+export async function verifyChain(entries, { masked } = {}) {
+  const chrono = [...(entries || [])].reverse();
+  const redacted = new Set(chrono.filter(isRedaction).map((en) => en.redaction.entryId));
+  let prev = GENESIS_HASH;
+  let partial = false;
+  for (let i = 0; i < chrono.length; i++) {
+    const en = chrono[i];
+    const broken = (reason) => ({ ok: false, index: i + 1, entryId: en.id, reason });
+    if (!en.hash) return broken("Entry has no hash");
+    if (en.prevHash !== prev) return broken("Link to the previous entry does not match");
+    if (en.masked) {
+      if (!masked?.has(en.id)) return broken("Entry is masked, so its content cannot be checked");
+      const covered = isRedaction(en)
+        ? en.redaction.texts.every((t) => t === REDACTED)
+        : redacted.has(changedEntryId(en) || en.id) && (en.body || "").includes(REDACTED);
+      if (!covered) return broken("Masked entry does not match a redaction in the thread");
+      partial = true;
+    } else if ((await sha256Hex(canonicalJSON(entryContent(en)))) !== en.hash) return broken("Entry content does not match its hash");
+    prev = en.hash;
+  }
+  return partial ? { ok: true, head: prev, partial } : { ok: true, head: prev };
+}
+
+// A stored thread, accepting the masked entries it was imported with.
+export function verifyThread(evidence) {
+  return verifyChain(evidence.entries, { masked: new Set(evidence.maskedEntries || []) });
+}
+
+// Checks every thread, plus the thread heads recorded in an export manifest when there is one
+// (a valid chain with its newest entries removed is only detectable against the recorded head).
+async function findBrokenChains(db, manifest) {
+  const problems = [];
+  const masked = Array.isArray(manifest?.masked) ? new Set(manifest.masked) : undefined;
+  for (const ev of db.evidence) {
+    const result = manifest ? await verifyChain(ev.entries, { masked }) : await verifyThread(ev);
+    if (!result.ok) problems.push({ evidence: ev, message: `broken at entry ${result.index} (${result.reason})` });
+    else if (manifest?.heads && manifest.heads[ev.id] !== undefined && manifest.heads[ev.id] !== result.head) {
+      problems.push({ evidence: ev, message: "newest entry does not match the export manifest (entries may have been removed)" });
+    }
+  }
+  return problems;
+}
+
+function chainManifest(db) {
+  return {
+    algorithm: "SHA-256",
+    genesis: GENESIS_HASH,
+    method:
+      "Per evidence thread, oldest entry first: hash = SHA-256(JSON of the entry without `hash`, keys sorted, no whitespace). prevHash is the previous entry's hash, or genesis for the first entry.",
+    heads: Object.fromEntries(db.evidence.map((e) => [e.id, chainHead(e.entries)])),
+  };
+}
+
+// Adds a sealed entry to the top of its thread. If the thread has moved on from the head the entry
+// was sealed on, the entry is left out; callers check for it and seal again.
+export function withEntry(db, evidenceId, entry) {
+  return {
+    ...db,
+    evidence: db.evidence.map((e) =>
+      e.id === evidenceId && chainHead(e.entries) === entry.prevHash ? { ...e, entries: [entry, ...(e.entries || [])], updatedAt: entry.timestamp } : e
+    ),
+  };
+}
+
+// The unsealed entry for `data` written by `author`; its id and recorded-at time are always new.
+export function newEntry(data, author, authorId) {
+  return { body: "", attachments: [], ...data, id: uuid(), timestamp: Date.now(), author, authorId };
+}
+
+export async function appendEntry(db, evidenceId, draft) {
+  const ev = db.evidence.find((e) => e.id === evidenceId && !e.deletedAt);
+  if (!ev) throw new Error("Evidence thread no longer exists.");
+  const problem = entryProblem(ev, draft);
+  if (problem) throw new Error(problem);
+  return withEntry(db, evidenceId, await sealEntry(draft, chainHead(ev.entries)));
+}
+
+// ---- Merge import ----
+// Records are matched by id. Each DB keeps a mergeBase: for every record it has imported, the
+// updatedAt of the version it received. A side "has seen" a version when that version is not newer
+// than its mergeBase for the record, which gives:
+//   we have already seen the incoming version        -> keep ours
+//   the sender had seen ours and we have not seen it -> update
+//   ours is unchanged since the version we last took -> update
+//   neither side has seen the other's version        -> conflict, resolved by the user
+// A merge only adds and updates; records that exist only locally are left alone.
+const MERGE_IGNORED_FIELDS = ["updatedAt", "entries", "maskedEntries"];
+
+function recordFields(rec) {
+  const out = { ...rec };
+  MERGE_IGNORED_FIELDS.forEach((f) => delete out[f]);
+  return out;
+}
+
+export function fieldChanges(from, to) {
+  const a = recordFields(from);
+  const b = recordFields(to);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((k) => canonicalJSON(a[k] ?? null) !== canonicalJSON(b[k] ?? null))
+    .map((field) => ({ field, from: a[field], to: b[field] }));
+}
+
+function planRecords(localList, incomingList, localBase, incomingBase) {
+  const byId = new Map(localList.map((r) => [r.id, r]));
+  const plan = { added: [], updated: [], conflicts: [], kept: [], unchanged: [] };
+  incomingList.forEach((incoming) => {
+    const local = byId.get(incoming.id);
+    if (!local) return plan.added.push(incoming);
+    const changes = fieldChanges(local, incoming);
+    if (!changes.length) return plan.unchanged.push({ local, incoming });
+    const localAt = local.updatedAt || local.createdAt || 0;
+    const incomingAt = incoming.updatedAt || incoming.createdAt || 0;
+    const localSawIncoming = localBase[incoming.id] != null && incomingAt <= localBase[incoming.id];
+    const incomingSawLocal = incomingBase[incoming.id] != null && localAt <= incomingBase[incoming.id];
+    const localUnchanged = localBase[incoming.id] != null && localAt <= localBase[incoming.id];
+    if (localSawIncoming) plan.kept.push({ local, incoming, changes });
+    else if (incomingSawLocal || localUnchanged) plan.updated.push({ local, incoming, changes });
+    else plan.conflicts.push({ local, incoming, changes });
+  });
+  return plan;
+}
+
+// True when `entries` is the oldest part of `longer`, i.e. the incoming thread simply continues ours.
+function isChainPrefix(entries, longer) {
+  const a = [...(entries || [])].reverse();
+  const b = [...(longer || [])].reverse();
+  return a.length <= b.length && a.every((en, i) => en.id === b[i].id && en.hash === b[i].hash);
+}
+
+function planEntries(localEvidence, incomingEvidence) {
+  const byId = new Map(localEvidence.map((e) => [e.id, e]));
+  return incomingEvidence.flatMap((inc) => {
+    const local = byId.get(inc.id);
+    if (!local) return [];
+    const known = new Set((local.entries || []).map((en) => en.id));
+    const added = (inc.entries || []).filter((en) => !known.has(en.id));
+    if (!added.length) return [];
+    return [{ evidenceId: inc.id, title: local.title, added, incoming: inc, fastForward: isChainPrefix(local.entries, inc.entries) }];
+  });
+}
+
+function mergeableRecords(db) {
+  return [...db.investigations, ...db.evidence, ...(db.entities || []), ...(db.entityLinks || []), ...(db.users || [])];
+}
+
+export function planMerge(local, incoming, incomingBase = {}) {
+  const localBase = local.mergeBase || {};
+  return {
+    investigations: planRecords(local.investigations, incoming.investigations, localBase, incomingBase),
+    evidence: planRecords(local.evidence, incoming.evidence, localBase, incomingBase),
+    entries: planEntries(local.evidence, incoming.evidence),
+    entities: planRecords(local.entities || [], incoming.entities || [], localBase, incomingBase),
+    entityLinks: planRecords(local.entityLinks || [], incoming.entityLinks || [], localBase, incomingBase),
+    users: planRecords(local.users || [], incoming.users || [], localBase, incomingBase),
+    revisions: (incoming.revisions || []).filter((r) => !(local.revisions || []).some((l) => l.id === r.id)),
+    settings: incoming.settings,
+    versions: Object.fromEntries(mergeableRecords(incoming).map((r) => [r.id, r.updatedAt || r.createdAt || 0])),
+  };
+}
+
+// A thread that only continues ours keeps its original hashes. Otherwise the new entries are
+// appended after our newest entry and re-sealed, keeping their original hash as resealedFrom.
+async function mergeEntries(localEntries, incomingEntries, fastForward) {
+  if (fastForward) return incomingEntries;
+  const known = new Set(localEntries.map((en) => en.id));
+  let merged = localEntries;
+  for (const en of [...incomingEntries].reverse().filter((x) => !known.has(x.id))) {
+    const { hash, prevHash, ...content } = en;
+    merged = [await sealEntry({ ...content, resealedFrom: hash }, chainHead(merged)), ...merged];
+  }
+  return merged;
+}
+
+// `resolutions` maps conflicting record ids to "incoming" where the incoming version should win.
+export async function applyMerge(local, plan, resolutions = {}) {
+  const taken = (section) =>
+    new Map(
+      [...section.updated, ...section.conflicts.filter((c) => resolutions[c.incoming.id] === "incoming")].map((c) => [c.incoming.id, c.incoming])
+    );
+  const invTaken = taken(plan.investigations);
+  const evTaken = taken(plan.evidence);
+  const entityTaken = taken(plan.entities);
+  const linkTaken = taken(plan.entityLinks);
+  const userTaken = taken(plan.users);
+  const entryPlans = new Map(plan.entries.map((p) => [p.evidenceId, p]));
+
+  const evidence = [];
+  for (const e of local.evidence) {
+    const fields = evTaken.get(e.id) || e;
+    const p = entryPlans.get(e.id);
+    if (fields === e && !p) {
+      evidence.push(e);
+      continue;
+    }
+    const maskedEntries = [...new Set([...(e.maskedEntries || []), ...((p && p.incoming.maskedEntries) || [])])];
+    evidence.push({
+      ...fields,
+      ...(maskedEntries.length ? { maskedEntries } : {}),
+      entries: p ? await mergeEntries(e.entries || [], p.incoming.entries || [], p.fastForward) : e.entries || [],
+      updatedAt: Math.max(e.updatedAt || 0, fields.updatedAt || 0, p?.incoming.updatedAt || 0),
+    });
+  }
+
+  const mergeBase = { ...(local.mergeBase || {}) };
+  Object.entries(plan.versions).forEach(([id, at]) => {
+    mergeBase[id] = Math.max(mergeBase[id] || 0, at);
+  });
+
+  return {
+    ...local,
+    investigations: [...local.investigations.map((i) => invTaken.get(i.id) || i), ...plan.investigations.added],
+    evidence: [...evidence, ...plan.evidence.added],
+    entities: [...(local.entities || []).map((e) => entityTaken.get(e.id) || e), ...plan.entities.added],
+    entityLinks: [...(local.entityLinks || []).map((l) => linkTaken.get(l.id) || l), ...plan.entityLinks.added],
+    users: [...(local.users || []).map((u) => userTaken.get(u.id) || u), ...plan.users.added],
+    revisions: [...(local.revisions || []), ...plan.revisions].sort((a, b) => a.at - b.at),
+    settings: mergeSettings(local.settings, plan.settings),
+    mergeBase,
+  };
+}
+
+// Replacing takes the file as-is; every record in it counts as seen for future merges.
+export function replaceWith(incoming) {
+  return {
+    ...incoming,
+    mergeBase: Object.fromEntries(mergeableRecords(incoming).map((r) => [r.id, r.updatedAt || r.createdAt || 0])),
+  };
+}
+
+// ---- Server sync ----
+// Optional sync with server/sync-server.mjs. db.sync is null until a server is connected, then
+//   { server, token, seq, records: { "<collection>/<id>": { version, stamp } }, conflicts: { key: change } }
+// `records` holds the server version each record was last synced at and a stamp of its content then
+// (updatedAt, plus the chain head for evidence). A record whose stamp differs, or that is gone
+// locally, has changes to push; nothing else is queued, so edits made offline survive reloads and
+// go out on the next sync. A pulled record that also changed locally becomes a conflict and is left
+// alone until the user picks a side.
+const SYNC_COLLECTIONS = ["investigations", "evidence", "entities", "entityLinks", "users", "revisions", "settings"];
+export const SYNC_INTERVAL_MS = 30000;
+export const SYNC_BATCH_SIZE = 200;
+
+const syncKey = (collection, id) => `${collection}/${id}`;
+
+export function splitSyncKey(key) {
+  const i = key.indexOf("/");
+  return [key.slice(0, i), key.slice(i + 1)];
+}
+
+function syncStamp(collection, rec) {
+  if (!rec) return null;
+  if (collection === "settings") return canonicalJSON(rec);
+  if (collection === "revisions") return String(rec.at);
+  const at = String(rec.updatedAt || rec.createdAt || 0);
+  return collection === "evidence" ? `${at}:${chainHead(rec.entries)}` : at;
+}
+
+// key -> record, for everything that is synced.
+export function syncRecords(db) {
+  const out = new Map();
+  SYNC_COLLECTIONS.forEach((collection) => {
+    if (collection === "settings") out.set(syncKey(collection, "settings"), db.settings);
+    else (db[collection] || []).forEach((r) => out.set(syncKey(collection, r.id), r));
+  });
+  return out;
+}
+
+const sameRecord = (a, b) => canonicalJSON(a ?? null) === canonicalJSON(b ?? null);
+
+export function pendingChanges(db) {
+  const { records, conflicts } = db.sync;
+  const local = syncRecords(db);
+  const changes = [];
+  local.forEach((record, key) => {
+    const [collection, id] = splitSyncKey(key);
+    if (conflicts[key] || records[key]?.stamp === syncStamp(collection, record)) return;
+    changes.push({ collection, id, baseVersion: records[key]?.version || 0, data: record });
+  });
+  Object.entries(records).forEach(([key, synced]) => {
+    const [collection, id] = splitSyncKey(key);
+    if (!local.has(key) && !conflicts[key]) changes.push({ collection, id, baseVersion: synced.version, deleted: true });
+  });
+  return changes;
+}
+
+// Puts a record received from the server in place, or removes it; no revision is logged since the
+// revisions are synced too.
+function withSyncedRecord(db, collection, id, record) {
+  if (collection === "settings") return record ? { ...db, settings: record } : db;
+  const list = db[collection] || [];
+  if (!record) return { ...db, [collection]: list.filter((r) => r.id !== id) };
+  if (list.some((r) => r.id === id)) return { ...db, [collection]: list.map((r) => (r.id === id ? record : r)) };
+  return { ...db, [collection]: collection === "revisions" ? [...list, record] : [record, ...list] };
+}
+
+export function applyPulled(db, changes, seq) {
+  const local = syncRecords(db);
+  const records = { ...db.sync.records };
+  const conflicts = { ...db.sync.conflicts };
+  let next = db;
+  changes.forEach((change) => {
+    const { collection, id, version } = change;
+    const key = syncKey(collection, id);
+    if (records[key] && records[key].version >= version) return;
+    const mine = local.get(key) || null;
+    const theirs = change.deleted ? null : change.data;
+    // A fresh install's default settings give way to the team's.
+    const untouched = collection === "settings" && !records[key] && sameRecord(mine, defaultSettings());
+    const changedHere = mine ? !untouched && syncStamp(collection, mine) !== records[key]?.stamp : !!records[key];
+    if (changedHere && !sameRecord(mine, theirs)) {
+      conflicts[key] = change;
+      return;
+    }
+    if (!changedHere) next = withSyncedRecord(next, collection, id, theirs);
+    if (theirs) records[key] = { version, stamp: syncStamp(collection, theirs) };
+    else delete records[key];
+    delete conflicts[key];
+  });
+  if (next.revisions !== db.revisions) next = { ...next, revisions: [...next.revisions].sort((a, b) => a.at - b.at) };
+  return { ...next, sync: { ...db.sync, seq, records, conflicts } };
+}
+
+export function applyPushResults(db, pushed, results) {
+  const records = { ...db.sync.records };
+  const conflicts = { ...db.sync.conflicts };
+  results.forEach((result, i) => {
+    const { collection, id, data } = pushed[i];
+    const key = syncKey(collection, id);
+    if (result.status === "conflict") conflicts[key] = result;
+    else if (result.deleted) delete records[key];
+    else records[key] = { version: result.version, stamp: syncStamp(collection, data) };
+  });
+  return { ...db, sync: { ...db.sync, records, conflicts } };
+}
+
+// The record to keep for a conflict. Evidence always keeps the entries of both sides: ours are
+// appended after the server's and re-sealed, like a merge import.
+export async function resolvedRecord(db, key, choice) {
+  const conflict = db.sync.conflicts[key];
+  const [collection] = splitSyncKey(key);
+  const mine = syncRecords(db).get(key) || null;
+  const theirs = conflict.deleted ? null : conflict.data;
+  const pick = choice === "theirs" ? theirs : mine;
+  if (collection !== "evidence" || !pick || !mine || !theirs) return pick;
+  const entries = await mergeEntries(theirs.entries || [], mine.entries || [], isChainPrefix(theirs.entries, mine.entries));
+  return entries === theirs.entries ? { ...pick, entries } : { ...pick, entries, updatedAt: Date.now() };
+}
+
+// Keeps `record` locally and counts the server's version as seen, so a record that differs from
+// the server's is pushed on top of it.
+export function settleConflict(db, key, record) {
+  const conflict = db.sync.conflicts[key];
+  const [collection, id] = splitSyncKey(key);
+  const records = { ...db.sync.records };
+  const conflicts = { ...db.sync.conflicts };
+  delete conflicts[key];
+  if (!record && conflict.deleted) delete records[key];
+  else records[key] = { version: conflict.version, stamp: syncStamp(collection, conflict.deleted ? null : conflict.data) };
+  return { ...withSyncedRecord(db, collection, id, record), sync: { ...db.sync, records, conflicts } };
+}
+
+// Evidence conflicts where only the entries differ resolve themselves.
+export function autoResolvable(db, key) {
+  const conflict = db.sync.conflicts[key];
+  const mine = syncRecords(db).get(key);
+  return splitSyncKey(key)[0] === "evidence" && !conflict.deleted && !!mine && !fieldChanges(mine, conflict.data).length;
+}
+
+export async function syncRequest(sync, path, { method = "GET", body } = {}) {
+  const res = await fetch(`${sync.server.replace(/\/+$/, "")}/api/${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(sync.token ? { Authorization: `Bearer ${sync.token}` } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server answered ${res.status}`);
+  return data;
+}
+
+// ---- Chain of custody ----
+// A custody transfer is an ordinary thread entry with kind "custody" and a structured record:
+//   custody: { releasedBy, receivedBy, location, purpose, at, initials }
+// It is sealed into the hash chain like any other entry. `at` is when the hand-off happened, which
+// can be earlier than the entry's own timestamp when a transfer is logged after the fact.
+export const CUSTODY_FIELDS = [
+  ["releasedBy", "Released by"],
+  ["receivedBy", "Received by"],
+  ["location", "Location"],
+  ["purpose", "Purpose"],
+  ["initials", "Signature / initials"],
+];
+
+export const isCustodyEntry = (en) => en?.kind === "custody" && !!en.custody;
+
+const sameParty = (a, b) => (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+
+// Hand-offs in the order they happened, oldest first.
+function custodyTransfers(evidence) {
+  return (evidence.entries || []).filter(isCustodyEntry).sort((a, b) => a.custody.at - b.custody.at);
+}
+
+export function currentCustody(evidence) {
+  const transfers = custodyTransfers(evidence);
+  return transfers.length ? transfers[transfers.length - 1].custody : null;
+}
+
+// Every transfer with the gaps found before it: a hand-off released by someone other than the
+// previous receiver means custody between the two is unaccounted for.
+export function custodyReport(evidence) {
+  return custodyTransfers(evidence).map((entry, i, list) => {
+    const prev = list[i - 1]?.custody;
+    const gaps = [];
+    if (prev && !sameParty(prev.receivedBy, entry.custody.releasedBy)) {
+      gaps.push(`Released by ${entry.custody.releasedBy}, but the last recorded custodian was ${prev.receivedBy}`);
+    }
+    if (entry.custody.at > entry.timestamp) gaps.push("Transfer time is later than when it was logged");
+    return { entry, custody: entry.custody, gaps };
+  });
+}
+
+export function custodySummary(c) {
+  return `${c.releasedBy} → ${c.receivedBy} at ${c.location}${c.purpose ? ` (${c.purpose})` : ""}`;
+}
+
+// ---- Disposition ----
+// Where an evidence item is in its lifecycle. A change is a thread entry with kind "disposition":
+//   disposition: { from, to, reviewAt? }
+// and the justification as its body. Items without such entries are "collected". `from` equal to
+// `to` only moves the review date. Returned and destroyed items are final.
+export const DISPOSITIONS = [
+  ["collected", "Collected"],
+  ["stored", "In storage"],
+  ["lab", "At lab"],
+  ["checkedOut", "Checked out"],
+  ["returned", "Returned to owner"],
+  ["destroyed", "Destroyed"],
+];
+
+const DISPOSITION_TRANSITIONS = {
+  collected: ["stored", "lab", "checkedOut", "returned", "destroyed"],
+  stored: ["lab", "checkedOut", "returned", "destroyed"],
+  lab: ["stored", "checkedOut", "returned", "destroyed"],
+  checkedOut: ["stored", "lab", "returned", "destroyed"],
+  returned: [],
+  destroyed: [],
+};
+
+export const isDispositionEntry = (en) => en?.kind === "disposition" && !!en.disposition;
+
+// Entry data moving an item from `from` to `to` (or, with to === from, only setting a review date).
+export const dispositionData = (from, to, justification, reviewAt) => ({
+  kind: "disposition",
+  disposition: { from, to, ...(reviewAt != null ? { reviewAt } : {}) },
+  body: justification,
+});
+
+export const dispositionLabel = (state) => DISPOSITIONS.find(([key]) => key === state)?.[1] || state;
+
+export const nextDispositions = (state) => DISPOSITION_TRANSITIONS[state] || [];
+
+export const isFinalDisposition = (state) => !nextDispositions(state).length;
+
+// { state, reviewAt, since } from the newest disposition entry (entries are stored newest first).
+export function currentDisposition(evidence) {
+  const entry = (evidence.entries || []).find(isDispositionEntry);
+  if (!entry) return { state: "collected", reviewAt: null, since: evidence.createdAt };
+  const { to, reviewAt } = entry.disposition;
+  return { state: to, reviewAt: isFinalDisposition(to) ? null : reviewAt ?? null, since: entry.timestamp };
+}
+
+export function dispositionSummary(d) {
+  return d.from === d.to ? `${dispositionLabel(d.to)}, review date changed` : `${dispositionLabel(d.from)} → ${dispositionLabel(d.to)}`;
+}
+
+// Checked when the entry is sealed, so a change based on a state someone else has moved on from is refused.
+function dispositionProblem(evidence, entry) {
+  const { from, to } = entry.disposition;
+  const { state } = currentDisposition(evidence);
+  if (from !== state) return `The item is now ${dispositionLabel(state)}, not ${dispositionLabel(from)}.`;
+  if (isFinalDisposition(from)) return `${dispositionLabel(from)} is final.`;
+  if (from !== to && !nextDispositions(from).includes(to)) return `${dispositionLabel(from)} cannot change to ${dispositionLabel(to)}.`;
+  if (!(entry.body || "").trim()) return "A disposition change needs a justification.";
+  return null;
+}
+
+// Items past their review date, and items still checked out of a closed investigation, oldest
+// review date first; trashed items and investigations are left out. Each is
+// { evidence, investigation, disposition, reasons }.
+export function dueForReview({ investigations, evidence, settings }, now = Date.now()) {
+  const invById = new Map(investigations.filter((i) => !i.deletedAt).map((i) => [i.id, i]));
+  const closed = closingStatus(settings);
+  return evidence
+    .filter((ev) => !ev.deletedAt && invById.has(ev.investigationId))
+    .map((ev) => {
+      const investigation = invById.get(ev.investigationId);
+      const disposition = currentDisposition(ev);
+      const reasons = [];
+      if (disposition.reviewAt != null && disposition.reviewAt <= now) reasons.push(`Review date ${dayString(disposition.reviewAt)} has passed`);
+      if (disposition.state === "checkedOut" && investigation.status === closed) reasons.push(`Still checked out, investigation is ${closed}`);
+      return { evidence: ev, investigation, disposition, reasons };
+    })
+    .filter((d) => d.reasons.length)
+    .sort((a, b) => (a.disposition.reviewAt ?? Infinity) - (b.disposition.reviewAt ?? Infinity));
+}
+
+// ---- Amendments & redactions ----
+// Entries are never changed in place. A correction is a new entry with kind "amendment":
+//   amendment: { entryId, reason }, body: the corrected text
+// and hiding personal details one with kind "redaction":
+//   redaction: { entryId, texts, reason? }
+// Both point at the original entry and are sealed into the hash chain like any other. Views and
+// the standard exports mask every redacted text in all versions of the entry; only the full
+// export keeps the originals.
+export const REDACTED = "[redacted]";
+
+export const isAmendment = (en) => en?.kind === "amendment" && !!en.amendment;
+export const isRedaction = (en) => en?.kind === "redaction" && !!en.redaction;
+export const changedEntryId = (en) => (isAmendment(en) ? en.amendment.entryId : isRedaction(en) ? en.redaction.entryId : null);
+
+export const amendmentData = (entryId, body, reason) => ({ kind: "amendment", amendment: { entryId, reason }, body });
+export const redactionData = (entryId, texts, reason) => ({ kind: "redaction", redaction: { entryId, texts, ...(reason ? { reason } : {}) }, body: "" });
+
+function maskText(text, texts) {
+  return [...texts].sort((a, b) => b.length - a.length).reduce((t, redacted) => t.split(redacted).join(REDACTED), text || "");
+}
+
+// The thread with redacted texts masked and the redaction entries emptied. Entries that changed are
+// marked `masked`. Returns `entries` itself when nothing is redacted.
+export function redactEntries(entries) {
+  const texts = new Map();
+  (entries || []).filter(isRedaction).forEach(({ redaction: r }) => texts.set(r.entryId, [...(texts.get(r.entryId) || []), ...r.texts]));
+  if (!texts.size) return entries;
+  return entries.map((en) => {
+    if (isRedaction(en)) return { ...en, redaction: { ...en.redaction, texts: en.redaction.texts.map(() => REDACTED) }, masked: true };
+    const redacted = texts.get(changedEntryId(en) || en.id);
+    const body = redacted ? maskText(en.body, redacted) : en.body;
+    return body === en.body ? en : { ...en, body, masked: true };
+  });
+}
+
+// Every thread through redactEntries; unchanged threads (and the array, if none changed) are kept.
+export function redactEvidence(evidence) {
+  let changed = false;
+  const out = evidence.map((ev) => {
+    const entries = redactEntries(ev.entries);
+    if (entries === ev.entries) return ev;
+    changed = true;
+    return { ...ev, entries };
+  });
+  return changed ? out : evidence;
+}
+
+// The thread as it is read: amendments and redactions folded into the entry they change, newest
+// entry first. Each item is { id, entry, body, versions, redactions }, where `body` is the latest
+// text and `versions` the replaced ones, oldest first, each with the amendment that replaced it.
+export function threadView(entries) {
+  const changes = new Map();
+  [...(entries || [])].reverse().forEach((en) => {
+    const target = changedEntryId(en);
+    if (!target) return;
+    if (!changes.has(target)) changes.set(target, { amendments: [], redactions: [] });
+    changes.get(target)[isAmendment(en) ? "amendments" : "redactions"].push(en);
+  });
+  return (entries || [])
+    .filter((en) => !changedEntryId(en))
+    .map((entry) => {
+      const { amendments = [], redactions = [] } = changes.get(entry.id) || {};
+      const bodies = [entry.body, ...amendments.map((a) => a.body)];
+      return { id: entry.id, entry, body: bodies[bodies.length - 1], versions: amendments.map((amendment, i) => ({ body: bodies[i], amendment })), redactions };
+    });
+}
+
+function amendmentProblem(evidence, entry) {
+  const target = changedEntryId(entry);
+  const original = (evidence.entries || []).find((en) => en.id === target);
+  if (!original || changedEntryId(original)) return "The entry to change is not in this thread.";
+  if (isAmendment(entry) && !(entry.amendment.reason || "").trim()) return "An amendment needs a reason.";
+  if (isRedaction(entry)) {
+    const bodies = [original, ...(evidence.entries || []).filter((en) => isAmendment(en) && en.amendment.entryId === target)].map((en) => en.body || "");
+    if (!(entry.redaction.texts || []).length) return "Select the text to redact.";
+    if (entry.redaction.texts.some((t) => !t || !bodies.some((b) => b.includes(t)))) return "Redacted text must come from the entry.";
+  }
+  return null;
+}
+
+// Why `entry` cannot be appended to `evidence`'s thread, or null. Checked when the entry is sealed.
+export function entryProblem(evidence, entry) {
+  if (isDispositionEntry(entry)) return dispositionProblem(evidence, entry);
+  if (changedEntryId(entry)) return amendmentProblem(evidence, entry);
+  return null;
+}
+
+// ---- Timeline ----
+// When an entry describes something that happened: its occurred-at time, or for older entries the
+// custody transfer time, falling back to when the entry was recorded.
+export function entryTime(en) {
+  return en.occurredAt ?? (isCustodyEntry(en) ? en.custody.at : en.timestamp);
+}
+
+const TYPE_COLORS = {
+  Physical: "bg-amber-500",
+  Digital: "bg-sky-500",
+  "Witness Statement": "bg-violet-500",
+  Forensics: "bg-emerald-500",
+  Media: "bg-pink-500",
+  Other: "bg-slate-400",
+};
+
+const EXTRA_TYPE_COLORS = ["bg-orange-500", "bg-teal-500", "bg-indigo-500", "bg-lime-500", "bg-rose-500", "bg-cyan-500"];
+
+// Types added in settings get a stable colour from their name.
+export function typeColor(type) {
+  if (TYPE_COLORS[type]) return TYPE_COLORS[type];
+  const hash = [...String(type)].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 0);
+  return EXTRA_TYPE_COLORS[hash % EXTRA_TYPE_COLORS.length];
+}
+
+// Every entry of an investigation's evidence, oldest first.
+export function timelineItems(investigationId, evidence) {
+  return evidence
+    .filter((ev) => ev.investigationId === investigationId)
+    .flatMap((ev) => (ev.entries || []).filter((entry) => !isRedaction(entry)).map((entry) => ({ evidence: ev, entry, at: entryTime(entry) })))
+    .sort((a, b) => a.at - b.at);
+}
+
+// Local midnight of the day, or of the Monday starting the week.
+function bucketStart(ts, zoom) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  if (zoom === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+export function groupTimeline(items, zoom) {
+  const groups = [];
+  items.forEach((item) => {
+    const start = bucketStart(item.at, zoom);
+    if (groups[groups.length - 1]?.start !== start) groups.push({ start, items: [] });
+    groups[groups.length - 1].items.push(item);
+  });
+  return groups;
+}
+
+export function bucketLabel(start, zoom) {
+  const opts = { weekday: "short", year: "numeric", month: "short", day: "numeric" };
+  if (zoom === "day") return new Date(start).toLocaleDateString(undefined, opts);
+  return `Week of ${new Date(start).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" })}`;
+}
+
+// ---- Case report ----
+// Self-contained, print-ready HTML for a single investigation. Options:
+//   { types: [evidence types to include], from, to (ms, inclusive; filter entries), integrity, generatedBy }
+// Threads with no entries in the selected period are left out when a date range is set.
+const REPORT_CSS = `
+  body { font: 13px/1.45 system-ui, sans-serif; color: #111; margin: 2rem auto; max-width: 52rem; padding: 0 1rem; }
+  h1 { font-size: 1.6rem; margin: 0 0 .25rem; }
+  h2 { font-size: 1.2rem; margin: 2rem 0 .25rem; border-bottom: 1px solid #ccc; padding-bottom: .25rem; }
+  .meta { color: #555; }
+  .tags span { display: inline-block; border: 1px solid #ccc; border-radius: 999px; padding: 0 .5rem; margin: 0 .25rem .25rem 0; font-size: 11px; }
+  .entry { border: 1px solid #ddd; border-radius: 6px; padding: .5rem .75rem; margin: .5rem 0; page-break-inside: avoid; }
+  .entry header { display: flex; justify-content: space-between; color: #555; }
+  .custody { background: #f4f4f4; padding: .25rem .5rem; border-radius: 4px; margin-top: .25rem; }
+  .body { white-space: pre-wrap; margin: .25rem 0; }
+  .hash, .digest { font-family: ui-monospace, monospace; font-size: 11px; color: #777; word-break: break-all; }
+  .broken { color: #b00; font-weight: 600; }
+  footer { margin-top: 2rem; border-top: 1px solid #ccc; padding-top: .5rem; color: #555; font-size: 11px; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11pt; }
+    h2 { page-break-after: avoid; }
+    section.thread { page-break-before: auto; }
+    a { color: inherit; text-decoration: none; }
+    a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 9pt; color: #555; }
+  }
+`;
+
+function escapeHTML(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function reportAttachment(a) {
+  if (a.sha256) {
+    return `<li>${escapeHTML(a.label || a.name)} (${escapeHTML(a.type || "file")}, ${escapeHTML(formatBytes(a.size))})<div class="digest">sha256 ${a.sha256}</div></li>`;
+  }
+  const safe = /^https?:\/\//i.test(a.url);
+  return `<li>${escapeHTML(a.label || "Link")}: ${safe ? `<a href="${escapeHTML(a.url)}">${escapeHTML(a.url)}</a>` : escapeHTML(a.url)}</li>`;
+}
+
+// `thread` is the entry's whole thread, for naming the entry an amendment or redaction changes.
+function reportEntry(en, thread) {
+  const entryRef = (id) => {
+    const target = thread.find((x) => x.id === id);
+    return target?.hash ? `#${target.hash.slice(0, 12)}` : escapeHTML(id);
+  };
+  const custody = isCustodyEntry(en)
+    ? `<div class="custody"><strong>Custody transfer</strong> ${escapeHTML(formatDate(en.custody.at))}<br>${CUSTODY_FIELDS.filter(([f]) => en.custody[f])
+        .map(([f, label]) => `${label}: ${escapeHTML(en.custody[f])}`)
+        .join("<br>")}</div>`
+    : "";
+  const disposition = isDispositionEntry(en)
+    ? `<div class="custody"><strong>Disposition</strong> ${escapeHTML(dispositionSummary(en.disposition))}${
+        en.disposition.reviewAt != null && !isFinalDisposition(en.disposition.to) ? `<br>Review by ${escapeHTML(formatDate(en.disposition.reviewAt))}` : ""
+      }</div>`
+    : "";
+  const change = isAmendment(en)
+    ? `<div class="custody"><strong>Amendment</strong> of entry ${entryRef(en.amendment.entryId)}: ${escapeHTML(en.amendment.reason)}</div>`
+    : isRedaction(en)
+    ? `<div class="custody"><strong>Redaction</strong> of ${en.redaction.texts.length} passage(s) in entry ${entryRef(en.redaction.entryId)}${
+        en.redaction.reason ? `: ${escapeHTML(en.redaction.reason)}` : ""
+      }</div>`
+    : "";
+  const attachments = (en.attachments || []).length ? `<div>Attachments:<ul>${en.attachments.map(reportAttachment).join("")}</ul></div>` : "";
+  return `<div class="entry">
+  <header><strong>${escapeHTML(en.author)}</strong><span>${
+    en.occurredAt != null ? `occurred ${escapeHTML(formatInZone(en.occurredAt, en.timeZone))} • ` : ""
+  }recorded ${escapeHTML(formatDate(en.timestamp))}</span></header>
+  ${custody}${disposition}${change}${en.body ? `<div class="body">${escapeHTML(en.body)}</div>` : ""}${attachments}
+  ${en.hash ? `<div class="hash">#${en.hash}</div>` : ""}
+</div>`;
+}
+
+function reportIntegrity(result) {
+  if (!result) return "";
+  if (result.ok && result.partial) return `<div class="hash">Hash chain partly verifiable (redacted copy) • head ${result.head}</div>`;
+  if (result.ok) return `<div class="hash">Hash chain verified • head ${result.head}</div>`;
+  return `<div class="broken">Hash chain broken at entry ${result.index}: ${escapeHTML(result.reason)}</div>`;
+}
+
+export function buildCaseReport(investigation, evidence, options = {}) {
+  const { types, from, to, integrity = {}, generatedBy } = options;
+  const inRange = (ts) => (from == null || ts >= from) && (to == null || ts <= to);
+  const ranged = from != null || to != null;
+  const threads = evidence
+    .filter((ev) => ev.investigationId === investigation.id && (!types || types.includes(ev.type)))
+    .map((ev) => ({ ev, entries: (ev.entries || []).filter((en) => inRange(entryTime(en))).slice().reverse() }))
+    .filter((t) => !ranged || t.entries.length);
+
+  const filters = [
+    types && `types: ${types.join(", ") || "none"}`,
+    from != null && `from ${formatDate(from)}`,
+    to != null && `to ${formatDate(to)}`,
+  ].filter(Boolean);
+
+  const sections = threads.map(({ ev, entries }) => {
+    const custodian = currentCustody(ev);
+    const disposition = currentDisposition(ev);
+    return `<section class="thread">
+  <h2>${escapeHTML(ev.title)}</h2>
+  <div class="meta">${escapeHTML(ev.type)} • created ${escapeHTML(formatDate(ev.createdAt))}${
+      custodian ? ` • custodian ${escapeHTML(custodian.receivedBy)} @ ${escapeHTML(custodian.location)}` : ""
+    } • ${escapeHTML(dispositionLabel(disposition.state))}${disposition.reviewAt != null ? `, review by ${escapeHTML(formatDate(disposition.reviewAt))}` : ""}</div>
+  ${(ev.tags || []).length ? `<div class="tags">${ev.tags.map((t) => `<span>${escapeHTML(t)}</span>`).join("")}</div>` : ""}
+  ${ev.summary ? `<p class="body">${escapeHTML(ev.summary)}</p>` : ""}
+  ${reportIntegrity(integrity[ev.id])}
+  <h3>Entries (${entries.length}${ranged ? ` of ${(ev.entries || []).length}` : ""})</h3>
+  ${entries.map((en) => reportEntry(en, ev.entries || [])).join("\n") || "<p class=\"meta\">No entries.</p>"}
+</section>`;
+  });
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(`Case report — ${investigation.caseNumber ? `#${investigation.caseNumber} ` : ""}${investigation.title}`)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<h1>${escapeHTML(investigation.title)}</h1>
+<div class="meta">${investigation.caseNumber ? `Case #${escapeHTML(investigation.caseNumber)} • ` : ""}Status: ${escapeHTML(investigation.status)} • Opened ${escapeHTML(
+    formatDate(investigation.createdAt)
+  )}</div>
+${(investigation.tags || []).length ? `<div class="tags">${investigation.tags.map((t) => `<span>${escapeHTML(t)}</span>`).join("")}</div>` : ""}
+${investigation.description ? `<p class="body">${escapeHTML(investigation.description)}</p>` : ""}
+<div class="meta">${threads.length} evidence thread(s)${filters.length ? ` • Filters: ${escapeHTML(filters.join("; "))}` : ""}</div>
+${sections.join("\n") || "<p class=\"meta\">No evidence matches the selected options.</p>"}
+<footer>Generated ${escapeHTML(formatDate(Date.now()))}${generatedBy ? ` by ${escapeHTML(generatedBy)}` : ""}</footer>
+</body>
+</html>`;
+}
+
+// ---- Entities ----
+// People, vehicles, locations and organizations that recur across cases. An entity is linked to an
+// investigation, an evidence thread or a single entry through an entityLinks record, so entries never
+// change (and their hash chain stays intact) when links are added. Unlinking sets removedAt, which
+// propagates through merges like any other update.
+export const ENTITY_KINDS = [
+  ["person", "Person"],
+  ["vehicle", "Vehicle"],
+  ["location", "Location"],
+  ["organization", "Organization"],
+];
+
+export const entityKindLabel = (kind) => ENTITY_KINDS.find(([k]) => k === kind)?.[1] || kind;
+
+export const entityLabel = (entity) => `${entity.name} (${entityKindLabel(entity.kind)})`;
+
+// target: { recordType: "investigation" | "evidence" | "entry", recordId, evidenceId? }
+export function linkEntity(db, entityId, target, by) {
+  const existing = db.entityLinks.some((l) => !l.removedAt && l.entityId === entityId && l.recordId === target.recordId);
+  if (existing) return db;
+  const now = Date.now();
+  const link = { id: uuid(), entityId, ...target, createdAt: now, updatedAt: now, by: by || "Unknown" };
+  return { ...db, entityLinks: [...db.entityLinks, link] };
+}
+
+export function unlinkEntity(db, linkId) {
+  const now = Date.now();
+  return { ...db, entityLinks: db.entityLinks.map((l) => (l.id === linkId ? { ...l, removedAt: now, updatedAt: now } : l)) };
+}
+
+// Every live record that references the entity, with the evidence and investigation it sits in.
+export function entityReferences(db, entityId) {
+  const invById = new Map(db.investigations.filter((i) => !i.deletedAt).map((i) => [i.id, i]));
+  const evById = new Map(db.evidence.filter((e) => !e.deletedAt && invById.has(e.investigationId)).map((e) => [e.id, e]));
+  const refs = { investigations: [], evidence: [], entries: [] };
+  db.entityLinks.forEach((l) => {
+    if (l.removedAt || l.entityId !== entityId) return;
+    if (l.recordType === "investigation" && invById.has(l.recordId)) refs.investigations.push(invById.get(l.recordId));
+    if (l.recordType === "evidence" && evById.has(l.recordId)) {
+      const ev = evById.get(l.recordId);
+      refs.evidence.push({ investigation: invById.get(ev.investigationId), evidence: ev });
+    }
+    if (l.recordType === "entry" && evById.has(l.evidenceId)) {
+      const ev = evById.get(l.evidenceId);
+      const entry = (ev.entries || []).find((en) => en.id === l.recordId);
+      if (entry) refs.entries.push({ investigation: invById.get(ev.investigationId), evidence: ev, entry });
+    }
+  });
+  return refs;
+}
+
+// ---- Settings (vocabulary & custom fields) ----
+// db.settings holds the department's own statuses, evidence types, custom fields and stale-case rule:
+//   { statuses: [], evidenceTypes: [], customFields: { investigation: [field], evidence: [field] }, staleDays, staleStatuses: [] }
+//   field: { id, label, type: "text" | "number" | "date" | "select", options: [] }
+// Values live on the record as custom: { [field.id]: value }, so renaming a field keeps its data.
+export const CUSTOM_FIELD_TYPES = [
+  ["text", "Text"],
+  ["number", "Number"],
+  ["date", "Date"],
+  ["select", "Select"],
+];
+
+export const CUSTOM_FIELD_KINDS = [
+  ["investigation", "Investigations"],
+  ["evidence", "Evidence"],
+];
+
+function defaultSettings() {
+  return {
+    statuses: ["Open", "Active", "On Hold", "Closed"],
+    evidenceTypes: ["Physical", "Digital", "Witness Statement", "Forensics", "Media", "Other"],
+    customFields: { investigation: [], evidence: [] },
+    staleDays: 30,
+    staleStatuses: ["Open", "Active"],
+  };
+}
+
+// Investigations in one of `statuses` with no new entry for `days` days are flagged as stale.
+// Settings saved before the rule existed get the defaults.
+export function staleRule(settings) {
+  const defaults = defaultSettings();
+  return {
+    days: settings.staleDays ?? defaults.staleDays,
+    statuses: settings.staleStatuses ?? defaults.staleStatuses.filter((s) => settings.statuses.includes(s)),
+  };
+}
+
+function formatCustomValue(field, value) {
+  if (value == null || value === "") return "";
+  if (field.type === "date") return new Date(`${value}T00:00:00`).toLocaleDateString();
+  return String(value);
+}
+
+// [field, display text] for every filled-in custom field of the record.
+export function customFieldValues(fields, record) {
+  return fields.map((f) => [f, formatCustomValue(f, record.custom?.[f.id])]).filter(([, text]) => text);
+}
+
+// Form values back to stored values: numbers as numbers, empty fields dropped. Values of fields that
+// were removed from the settings are kept.
+export function cleanCustomValues(fields, values) {
+  const out = { ...values };
+  fields.forEach((f) => {
+    const v = typeof out[f.id] === "string" ? out[f.id].trim() : out[f.id];
+    if (v === "" || v == null) delete out[f.id];
+    else out[f.id] = f.type === "number" ? Number(v) : v;
+  });
+  return out;
+}
+
+// `renames` maps old to new names ({ statuses, evidenceTypes }); records using a renamed status or
+// type are updated (and logged) along with the settings.
+export function applySettings(db, settings, renames, by) {
+  let next = { ...db, settings };
+  const rename = (recordType, key, field, map) => {
+    next[key]
+      .filter((r) => map.has(r[field]))
+      .forEach((r) => {
+        next = updateRecord(next, recordType, r.id, { [field]: map.get(r[field]) }, by);
+      });
+  };
+  rename("investigation", "investigations", "status", renames.statuses);
+  rename("evidence", "evidence", "type", renames.evidenceTypes);
+  return next;
+}
+
+// Imported vocabulary is added to ours; nothing is removed.
+function mergeSettings(local, incoming) {
+  if (!incoming) return local;
+  const union = (a, b = []) => [...a, ...b.filter((x) => !a.includes(x))];
+  const fields = (kind) => {
+    const ours = local.customFields[kind];
+    return [...ours, ...(incoming.customFields?.[kind] || []).filter((f) => !ours.some((o) => o.id === f.id))];
+  };
+  return {
+    statuses: union(local.statuses, incoming.statuses),
+    evidenceTypes: union(local.evidenceTypes, incoming.evidenceTypes),
+    customFields: { investigation: fields("investigation"), evidence: fields("evidence") },
+    staleDays: local.staleDays ?? incoming.staleDays,
+    staleStatuses: local.staleStatuses ?? incoming.staleStatuses,
+  };
+}
+
+// ---- Users & roles ----
+// Profiles are shared records (db.users) so entries and revisions can name who made them; which
+// profile is in use is remembered per browser. Profiles are not passwords: choosing one at sign-in
+// is trusted, and the roles only keep honest users from making changes they are not meant to.
+export const ROLES = [
+  ["lead", "Case lead"],
+  ["investigator", "Investigator"],
+  ["viewer", "Viewer"],
+];
+
+export const roleLabel = (role) => ROLES.find(([r]) => r === role)?.[1] || role;
+
+// Roles allowed to do each thing. Reading, searching, exporting and reports are open to everyone.
+const PERMISSIONS = {
+  edit: ["lead", "investigator"], // create and change records, add entries, amend and redact, link entities, import
+  closeInvestigation: ["lead"],
+  deleteInvestigation: ["lead"],
+  manage: ["lead"], // profiles, settings, purging the trash
+  fullExport: ["lead"], // exports with redacted text left in
+};
+
+export const can = (user, action) => !!user && PERMISSIONS[action].includes(user.role);
+
+export const userLabel = (user) => (user.badge ? `${user.name} (${user.badge})` : user.name);
+
+// The last status in the settings closes an investigation.
+export const closingStatus = (settings) => settings.statuses[settings.statuses.length - 1];
+
+// Moving an investigation into or out of the closing status is closing (or reopening) it.
+export const changesClosure = (settings, before, status) => !!before && before.status !== status && [before.status, status].includes(closingStatus(settings));
+
+// Why `change` would leave no case lead, or null.
+export function leadProblem(users, change) {
+  const after = users.map((u) => (u.id === change.id ? { ...u, ...change } : u));
+  return after.some((u) => u.role === "lead" && !u.deletedAt) ? null : "There must always be at least one case lead.";
+}
+
+// ---- Tags ----
+// Tags are compared case-insensitively. There is no separate registry: the tag list is derived
+// from the records, and the spelling used most often is the one offered for new tags.
+export const tagKey = (t) => t.trim().toLowerCase();
+
+// [{ key, tag, spellings: [[spelling, count]], investigations, evidence }] for records not in the trash.
+export function tagUsage(db) {
+  const groups = new Map();
+  const count = (records, field) =>
+    records
+      .filter((r) => !r.deletedAt)
+      .forEach((r) =>
+        (r.tags || []).forEach((t) => {
+          const key = tagKey(t);
+          if (!groups.has(key)) groups.set(key, { key, spellings: new Map(), investigations: 0, evidence: 0 });
+          const g = groups.get(key);
+          g[field] += 1;
+          g.spellings.set(t, (g.spellings.get(t) || 0) + 1);
+        })
+      );
+  count(db.investigations, "investigations");
+  count(db.evidence, "evidence");
+  return [...groups.values()]
+    .map((g) => {
+      const spellings = [...g.spellings].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+      return { ...g, tag: spellings[0][0], spellings };
+    })
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+// Trims, drops duplicates ignoring case and adopts the spelling of `known` tags.
+export function normalizeTags(tags, known = []) {
+  const spelling = new Map(known.map((t) => [tagKey(t), t]));
+  const out = new Map();
+  tags.forEach((t) => {
+    const key = tagKey(t);
+    if (key && !out.has(key)) out.set(key, spelling.get(key) || t.trim());
+  });
+  return [...out.values()];
+}
+
+// Rewrites every investigation and evidence record (trashed ones included) carrying one of `from`.
+// Renaming several tags to one merges them.
+export function renameTags(db, from, to, by) {
+  const keys = new Set(from.map(tagKey));
+  let next = db;
+  [
+    ["investigation", "investigations"],
+    ["evidence", "evidence"],
+  ].forEach(([recordType, key]) => {
+    db[key]
+      .filter((r) => (r.tags || []).some((t) => keys.has(tagKey(t))))
+      .forEach((r) => {
+        next = updateRecord(next, recordType, r.id, { tags: normalizeTags(r.tags.map((t) => (keys.has(tagKey(t)) ? to : t))) }, by);
+      });
+  });
+  return next;
+}
+
+// Gives every tag written in several ways ("CCTV", "cctv") its most common spelling.
+export function unifyTagSpellings(db, by) {
+  return tagUsage(db)
+    .filter((g) => g.spellings.length > 1)
+    .reduce((next, g) => renameTags(next, g.spellings.map(([s]) => s), g.tag, by), db);
+}
+
+// ---- Revisions & trash ----
+// Every create, edit, delete, restore and purge of an investigation or evidence record is logged in
+// db.revisions as { id, recordType, recordId, title, action, at, by, changes: [{ field, from, to }] }.
+// Deleting only moves a record to the trash (deletedAt/deletedBy); purging removes it for good.
+const COLLECTIONS = { investigation: "investigations", evidence: "evidence", entity: "entities", user: "users" };
+
+function makeRevision(recordType, action, before, after, by) {
+  const rec = after || before;
+  return {
+    id: uuid(),
+    recordType,
+    recordId: rec.id,
+    title: rec.title || rec.name,
+    action,
+    at: Date.now(),
+    by: by || "Unknown",
+    changes: before && after ? fieldChanges(before, after) : [],
+  };
+}
+
+function withRecord(db, recordType, record, revision) {
+  const key = COLLECTIONS[recordType];
+  const exists = db[key].some((r) => r.id === record.id);
+  return {
+    ...db,
+    [key]: exists ? db[key].map((r) => (r.id === record.id ? record : r)) : [record, ...db[key]],
+    revisions: [...(db.revisions || []), revision],
+  };
+}
+
+// A new record with a fresh id and timestamps; `data` may bring its own.
+export function newRecord(data, now = Date.now()) {
+  return { id: uuid(), createdAt: now, updatedAt: now, ...data };
+}
+
+export function createRecord(db, recordType, record, by) {
+  return withRecord(db, recordType, record, makeRevision(recordType, "create", null, record, by));
+}
+
+export function updateRecord(db, recordType, id, data, by) {
+  const before = db[COLLECTIONS[recordType]].find((r) => r.id === id);
+  if (!before) return db;
+  const after = { ...before, ...data, updatedAt: Date.now() };
+  const revision = makeRevision(recordType, "update", before, after, by);
+  return revision.changes.length ? withRecord(db, recordType, after, revision) : db;
+}
+
+// Trashing an investigation also trashes its evidence, marked deletedWith so they are restored together.
+export function trashRecord(db, recordType, id, by) {
+  const now = Date.now();
+  const before = db[COLLECTIONS[recordType]].find((r) => r.id === id);
+  if (!before || before.deletedAt) return db;
+  let next = withRecord(db, recordType, { ...before, deletedAt: now, deletedBy: by, updatedAt: now }, null);
+  const revisions = [makeRevision(recordType, "delete", before, next[COLLECTIONS[recordType]].find((r) => r.id === id), by)];
+  if (recordType === "investigation") {
+    next = {
+      ...next,
+      evidence: next.evidence.map((e) => {
+        if (e.investigationId !== id || e.deletedAt) return e;
+        const trashed = { ...e, deletedAt: now, deletedBy: by, deletedWith: id, updatedAt: now };
+        revisions.push(makeRevision("evidence", "delete", e, trashed, by));
+        return trashed;
+      }),
+    };
+  }
+  return { ...next, revisions: [...(db.revisions || []), ...revisions] };
+}
+
+function untrashed(rec, now) {
+  const { deletedAt, deletedBy, deletedWith, ...rest } = rec;
+  return { ...rest, updatedAt: now };
+}
+
+// Restoring evidence whose investigation is in the trash restores that investigation as well.
+export function restoreRecord(db, recordType, id, by) {
+  const now = Date.now();
+  const revisions = [];
+  const restore = (type, rec) => {
+    const after = untrashed(rec, now);
+    revisions.push(makeRevision(type, "restore", rec, after, by));
+    return after;
+  };
+  let investigations = db.investigations;
+  let evidence = db.evidence;
+  if (recordType === "investigation") {
+    investigations = investigations.map((i) => (i.id === id && i.deletedAt ? restore("investigation", i) : i));
+    evidence = evidence.map((e) => (e.deletedWith === id ? restore("evidence", e) : e));
+  } else if (recordType === "evidence") {
+    const ev = evidence.find((e) => e.id === id);
+    if (!ev?.deletedAt) return db;
+    // Siblings trashed with the investigation stay in the trash, now as individually deleted threads.
+    evidence = evidence.map((e) => {
+      if (e.id === id) return restore("evidence", e);
+      if (e.deletedWith && e.deletedWith === ev.deletedWith) {
+        const { deletedWith, ...rest } = e;
+        return rest;
+      }
+      return e;
+    });
+    investigations = investigations.map((i) => (i.id === ev.investigationId && i.deletedAt ? restore("investigation", i) : i));
+  } else {
+    const key = COLLECTIONS[recordType];
+    return { ...db, [key]: db[key].map((r) => (r.id === id && r.deletedAt ? restore(recordType, r) : r)), revisions: [...(db.revisions || []), ...revisions] };
+  }
+  return { ...db, investigations, evidence, revisions: [...(db.revisions || []), ...revisions] };
+}
+
+// Permanently removes a record (an investigation together with all of its evidence, an entity
+// together with its links). The purge itself stays in the revision log.
+export function purgeRecord(db, recordType, id, by) {
+  const rec = db[COLLECTIONS[recordType]].find((r) => r.id === id);
+  if (!rec) return db;
+  const revision = makeRevision(recordType, "purge", rec, null, by);
+  if (recordType === "investigation") {
+    return {
+      ...db,
+      investigations: db.investigations.filter((i) => i.id !== id),
+      evidence: db.evidence.filter((e) => e.investigationId !== id),
+      revisions: [...(db.revisions || []), revision],
+    };
+  }
+  if (recordType === "entity") {
+    return {
+      ...db,
+      entities: db.entities.filter((e) => e.id !== id),
+      entityLinks: db.entityLinks.filter((l) => l.entityId !== id),
+      revisions: [...(db.revisions || []), revision],
+    };
+  }
+  return { ...db, evidence: db.evidence.filter((e) => e.id !== id), revisions: [...(db.revisions || []), revision] };
+}
+
+// ---- Import validation ----
+// Field rules per record kind. A trailing "?" makes a field optional; fields not listed are allowed
+// so that files from newer builds with extra fields still load.
+export const SCHEMA = {
+  investigation: {
+    id: "id",
+    title: "text",
+    caseNumber: "string?",
+    description: "string?",
+    status: "text",
+    createdAt: "timestamp",
+    updatedAt: "timestamp?",
+    tags: "strings",
+    custom: "object?",
+  },
+  evidence: {
+    id: "id",
+    investigationId: "id",
+    title: "text",
+    type: "text",
+    summary: "string?",
+    createdAt: "timestamp",
+    updatedAt: "timestamp?",
+    tags: "strings",
+    entries: "array",
+    custom: "object?",
+    maskedEntries: "strings?",
+  },
+  entry: {
+    id: "id",
+    author: "string",
+    body: "string",
+    timestamp: "timestamp",
+    attachments: "array",
+    prevHash: "hash?",
+    hash: "hash?",
+    authorId: "id?",
+    kind: "string?",
+    custody: "object?",
+    disposition: "object?",
+    amendment: "object?",
+    redaction: "object?",
+    masked: "boolean?",
+    occurredAt: "timestamp?",
+    timeZone: "timeZone?",
+  },
+  custody: { releasedBy: "text", receivedBy: "text", location: "text", purpose: "string?", at: "timestamp", initials: "string?" },
+  disposition: { from: "text", to: "text", reviewAt: "timestamp?" },
+  amendment: { entryId: "id", reason: "text" },
+  redaction: { entryId: "id", texts: "strings", reason: "string?" },
+  attachment: { label: "string?", url: "string?", name: "string?", type: "string?", size: "count?", sha256: "hash?" },
+  entity: { id: "id", kind: "text", name: "text", aliases: "strings", details: "string?", createdAt: "timestamp", updatedAt: "timestamp?" },
+  user: { id: "id", name: "text", badge: "string?", role: "text", createdAt: "timestamp", updatedAt: "timestamp?" },
+  entityLink: { id: "id", entityId: "id", recordType: "text", recordId: "id", evidenceId: "id?", createdAt: "timestamp", updatedAt: "timestamp?" },
+  settings: { statuses: "strings", evidenceTypes: "strings", customFields: "object", staleDays: "count?", staleStatuses: "strings?" },
+  customField: { id: "id", label: "text", type: "text", options: "strings" },
+  revision: { id: "id", recordType: "text", recordId: "id", title: "string?", action: "text", at: "timestamp", by: "string?", changes: "array" },
+};
+
+const FIELD_CHECKS = {
+  id: (v) => (typeof v === "string" && v.trim() !== "") || "must be a non-empty string",
+  text: (v) => (typeof v === "string" && v.trim() !== "") || "must be a non-empty string",
+  string: (v) => typeof v === "string" || "must be a string",
+  timestamp: (v) => (Number.isFinite(v) && v > 0 && v < 8.64e15) || "must be a millisecond timestamp",
+  strings: (v) => (Array.isArray(v) && v.every((x) => typeof x === "string")) || "must be an array of strings",
+  array: (v) => Array.isArray(v) || "must be an array",
+  object: (v) => (v && typeof v === "object" && !Array.isArray(v)) || "must be an object",
+  boolean: (v) => typeof v === "boolean" || "must be true or false",
+  timeZone: (v) => isTimeZone(v) || "must be an IANA time zone name",
+  count: (v) => (Number.isInteger(v) && v >= 0) || "must be a non-negative integer",
+  hash: (v) => (typeof v === "string" && /^[0-9a-f]{64}$/.test(v)) || "must be a 64-character hex SHA-256 hash",
+};
+
+export function checkRecord(kind, rec, path, problems) {
+  if (!rec || typeof rec !== "object" || Array.isArray(rec)) {
+    problems.push({ path, message: "must be an object" });
+    return false;
+  }
+  Object.entries(SCHEMA[kind]).forEach(([field, rule]) => {
+    const optional = rule.endsWith("?");
+    const value = rec[field];
+    if (value === undefined || value === null) {
+      if (!optional) problems.push({ path: `${path}.${field}`, message: "is required" });
+      return;
+    }
+    const result = FIELD_CHECKS[rule.replace("?", "")](value);
+    if (result !== true) problems.push({ path: `${path}.${field}`, message: result });
+  });
+  return true;
+}
+
+// Returns every problem found as { path, message }; an empty list means the file can be imported.
+export function validateDB(data) {
+  const problems = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) return [{ path: "$", message: "must be an object" }];
+  if (data.version !== undefined && !(Number.isInteger(data.version) && data.version >= 1)) {
+    problems.push({ path: "version", message: "must be a positive integer" });
+  } else if (data.version > DB_VERSION) {
+    problems.push({ path: "version", message: `is ${data.version}, newer than this app supports (${DB_VERSION})` });
+  }
+  if (!Array.isArray(data.investigations)) problems.push({ path: "investigations", message: "must be an array" });
+  if (!Array.isArray(data.evidence)) problems.push({ path: "evidence", message: "must be an array" });
+  if (data.revisions !== undefined) {
+    if (!Array.isArray(data.revisions)) problems.push({ path: "revisions", message: "must be an array" });
+    else data.revisions.forEach((r, i) => checkRecord("revision", r, `revisions[${i}]`, problems));
+  }
+  if (data.settings !== undefined && checkRecord("settings", data.settings, "settings", problems) && data.settings.customFields) {
+    Object.entries(data.settings.customFields).forEach(([kind, fields]) => {
+      if (!Array.isArray(fields)) problems.push({ path: `settings.customFields.${kind}`, message: "must be an array" });
+      else fields.forEach((f, i) => checkRecord("customField", f, `settings.customFields.${kind}[${i}]`, problems));
+    });
+  }
+  if (data.users !== undefined) {
+    if (!Array.isArray(data.users)) problems.push({ path: "users", message: "must be an array" });
+    else {
+      data.users.forEach((u, i) => {
+        if (checkRecord("user", u, `users[${i}]`, problems) && !ROLES.some(([r]) => r === u.role)) {
+          problems.push({ path: `users[${i}].role`, message: `must be one of ${ROLES.map(([r]) => r).join(", ")}` });
+        }
+      });
+    }
+  }
+  const entityIds = new Set();
+  if (data.entities !== undefined) {
+    if (!Array.isArray(data.entities)) problems.push({ path: "entities", message: "must be an array" });
+    else data.entities.forEach((e, i) => checkRecord("entity", e, `entities[${i}]`, problems) && entityIds.add(e.id));
+  }
+  if (data.entityLinks !== undefined) {
+    if (!Array.isArray(data.entityLinks)) problems.push({ path: "entityLinks", message: "must be an array" });
+    else {
+      data.entityLinks.forEach((l, i) => {
+        const path = `entityLinks[${i}]`;
+        if (checkRecord("entityLink", l, path, problems) && typeof l.entityId === "string" && !entityIds.has(l.entityId)) {
+          problems.push({ path: `${path}.entityId`, message: `refers to missing entity "${l.entityId}"` });
+        }
+      });
+    }
+  }
+  if (data.mergeBase !== undefined) {
+    if (!data.mergeBase || typeof data.mergeBase !== "object" || Array.isArray(data.mergeBase)) {
+      problems.push({ path: "mergeBase", message: "must be an object" });
+    } else {
+      Object.entries(data.mergeBase).forEach(([id, at]) => {
+        if (FIELD_CHECKS.timestamp(at) !== true) problems.push({ path: `mergeBase.${id}`, message: "must be a millisecond timestamp" });
+      });
+    }
+  }
+  if (!Array.isArray(data.investigations) || !Array.isArray(data.evidence)) return problems;
+
+  const seen = new Map();
+  const checkUnique = (id, path) => {
+    if (typeof id !== "string") return;
+    if (seen.has(id)) problems.push({ path: `${path}.id`, message: `duplicates the id at ${seen.get(id)}` });
+    else seen.set(id, path);
+  };
+
+  data.investigations.forEach((inv, i) => {
+    const path = `investigations[${i}]`;
+    if (checkRecord("investigation", inv, path, problems)) checkUnique(inv.id, path);
+  });
+  const investigationIds = new Set(data.investigations.map((inv) => inv?.id));
+  data.evidence.forEach((ev, i) => {
+    const path = `evidence[${i}]`;
+    if (!checkRecord("evidence", ev, path, problems)) return;
+    checkUnique(ev.id, path);
+    if (typeof ev.investigationId === "string" && !investigationIds.has(ev.investigationId)) {
+      problems.push({ path: `${path}.investigationId`, message: `refers to missing investigation "${ev.investigationId}"` });
+    }
+    if (!Array.isArray(ev.entries)) return;
+    ev.entries.forEach((en, j) => {
+      const entryPath = `${path}.entries[${j}]`;
+      if (!checkRecord("entry", en, entryPath, problems)) return;
+      checkUnique(en.id, entryPath);
+      if (en.kind === "custody") checkRecord("custody", en.custody, `${entryPath}.custody`, problems);
+      if (en.kind === "amendment") checkRecord("amendment", en.amendment, `${entryPath}.amendment`, problems);
+      if (en.kind === "redaction") checkRecord("redaction", en.redaction, `${entryPath}.redaction`, problems);
+      if (en.kind === "disposition" && checkRecord("disposition", en.disposition, `${entryPath}.disposition`, problems)) {
+        ["from", "to"].forEach((f) => {
+          if (!DISPOSITION_TRANSITIONS[en.disposition[f]]) problems.push({ path: `${entryPath}.disposition.${f}`, message: "is not a disposition state" });
+        });
+      }
+      if (!Array.isArray(en.attachments)) return;
+      en.attachments.forEach((a, k) => {
+        const attachmentPath = `${entryPath}.attachments[${k}]`;
+        if (checkRecord("attachment", a, attachmentPath, problems) && !a.url && !a.sha256) {
+          problems.push({ path: attachmentPath, message: "needs either a url or a sha256 file digest" });
+        }
+      });
+    });
+  });
+  return problems;
+}
+
+// ---- Legacy "evidenceLog" format ----
+// index.html, the first version of this app, stores an array of
+//   { id, title, tags, evidence: [{ id, description, tags, link, file }] }
+// under the "evidenceLog" localStorage key and exports the same array. Its ids are Date.now() values.
+const LEGACY_EVIDENCE_LOG_KEY = "evidenceLog";
+
+function isLegacyEvidenceLog(data) {
+  return Array.isArray(data) && data.every((inv) => inv && typeof inv === "object" && Array.isArray(inv.evidence));
+}
+
+function legacyTimestamp(id, fallback) {
+  const n = Number(id);
+  return Number.isFinite(n) && n > 0 && n < 8.64e15 ? n : fallback;
+}
+
+function legacyTags(tags) {
+  return Array.isArray(tags) ? tags.map((t) => String(t).trim()).filter(Boolean) : [];
+}
+
+// Produces a version 2 DB (no hash chain yet); migrateDB seals it like any other v2 data.
+// Ids are derived from the legacy ids so importing the same file twice merges instead of duplicating.
+function convertLegacyEvidenceLog(list) {
+  const now = Date.now();
+  const investigations = [];
+  const evidence = [];
+  list.forEach((inv) => {
+    const invId = `legacy-inv-${inv.id}`;
+    const invAt = legacyTimestamp(inv.id, now);
+    investigations.push({
+      id: invId,
+      title: String(inv.title || "").trim() || "Untitled investigation",
+      caseNumber: "",
+      description: "",
+      status: "Open",
+      createdAt: invAt,
+      updatedAt: invAt,
+      tags: legacyTags(inv.tags),
+    });
+    inv.evidence.forEach((ev) => {
+      const evId = `legacy-ev-${ev.id}`;
+      const evAt = legacyTimestamp(ev.id, invAt);
+      const description = String(ev.description || "").trim();
+      const attachments = [];
+      if (ev.link) attachments.push({ label: "Link", url: String(ev.link) });
+      // The old app stored uploads as blob: object URLs, which stop working once its page is closed.
+      if (ev.file) attachments.push({ label: "File (legacy object URL, no longer available)", url: String(ev.file) });
+      evidence.push({
+        id: evId,
+        investigationId: invId,
+        title: description.split("\n")[0].slice(0, 80) || "Untitled evidence",
+        type: "Other",
+        summary: description,
+        createdAt: evAt,
+        updatedAt: evAt,
+        tags: legacyTags(ev.tags),
+        entries: [{ id: `${evId}-entry`, author: "Unknown", body: description, timestamp: evAt, attachments }],
+      });
+    });
+  });
+  return { investigations, evidence, mergeBase: {}, version: 2 };
+}
+
+function readLegacyEvidenceLog() {
+  const raw = localStorage.getItem(LEGACY_EVIDENCE_LOG_KEY);
+  if (!raw) return null;
+  try {
+    const list = JSON.parse(raw);
+    return isLegacyEvidenceLog(list) ? list : null;
+  } catch (e) {
+    console.error("Failed to parse legacy evidenceLog data", e);
+    return null;
+  }
+}
+
+// ---- JSON import & export ----
+// The JSON export is the whole db with the chain manifest of every thread; the sync connection
+// (server and token) stays behind. Redacted text is masked unless `full` is set; the manifest lists
+// the masked entries (including those of redacted copies imported earlier), and only the entries it
+// lists are accepted masked on import.
+export function exportJSONText(db, { full = false } = {}) {
+  const evidence = full ? db.evidence : redactEvidence(db.evidence);
+  const integrity = chainManifest(db);
+  // Entries stored masked are only listed when their thread was imported with them.
+  const unaccepted = new Set(db.evidence.flatMap((ev) => (ev.entries || []).filter((en) => en.masked && !(ev.maskedEntries || []).includes(en.id)).map((en) => en.id)));
+  const masked = evidence.flatMap((ev) => (ev.entries || []).filter((en) => en.masked && !unaccepted.has(en.id)).map((en) => en.id));
+  if (!full || masked.length) integrity.masked = masked;
+  return JSON.stringify({ ...db, evidence, sync: undefined, integrity }, null, 2);
+}
+
+// evidence.json and the attached files of a bundle zip. Files whose content does not match the
+// SHA-256 in their name are skipped with a warning.
+export async function readBundle(bytes) {
+  const archive = await readZip(bytes.buffer);
+  if (!archive.has("evidence.json")) throw new Error("evidence.json not found in the archive");
+  const files = [];
+  const warnings = [];
+  for (const [name, data] of archive) {
+    const m = /^attachments\/([0-9a-f]{64})$/.exec(name);
+    if (!m) continue;
+    if ((await sha256Hex(data)) === m[1]) files.push({ sha256: m[1], blob: new Blob([data]) });
+    else warnings.push(`${name} does not match its SHA-256 and was skipped.`);
+  }
+  return { text: new TextDecoder().decode(archive.get("evidence.json")), files, warnings };
+}
+
+// Parses a JSON or legacy evidenceLog export into a migrated db, ready to merge or replace with.
+// Returns { invalid: problems } when it fails validation, otherwise { data, incomingBase, problems }
+// where `problems` are broken hash chains.
+export async function prepareImport(text) {
+  const parsed = JSON.parse(text);
+  const imported = isLegacyEvidenceLog(parsed) ? convertLegacyEvidenceLog(parsed) : parsed;
+  const invalid = validateDB(imported);
+  if (invalid.length) return { invalid };
+  const { integrity: manifest, mergeBase: incomingBase, ...data } = imported;
+  const migrated = await migrateDB({ ...emptyDB(), ...data, version: data.version || 1 });
+  const problems = await findBrokenChains(migrated, manifest);
+  // Threads remember the masked entries the manifest accepted, so that they verify once stored.
+  const listed = new Set(Array.isArray(manifest?.masked) ? manifest.masked : []);
+  migrated.evidence = migrated.evidence.map((ev) => {
+    const maskedEntries = (ev.entries || []).filter((en) => en.masked && listed.has(en.id)).map((en) => en.id);
+    const next = { ...ev };
+    delete next.maskedEntries;
+    return maskedEntries.length ? { ...next, maskedEntries } : next;
+  });
+  return { data: migrated, incomingBase: incomingBase || {}, problems };
+}
+
+// ---- CSV import & export ----
+// One row per entry, repeating the investigation and evidence columns. Round-trip exports also write
+// record ids, descriptions and timestamps, rows for investigations without evidence and evidence without
+// entries, and attachments/custody as JSON, so that importing the file reproduces the records.
+// Revision history, entities and the trash are not part of CSV.
+const csvTime = (v) => (v ? new Date(v).toISOString() : "");
+const csvTags = (tags) => (tags || []).join(";");
+const splitTags = (v) => normalizeTags(v.split(/[;,]/));
+
+function parseCSVTime(v) {
+  const t = Date.parse(v);
+  if (!Number.isFinite(t)) throw new Error(`"${v}" is not a date`);
+  return t;
+}
+
+function formatAttachments(attachments, roundTrip) {
+  if (roundTrip) return attachments?.length ? JSON.stringify(attachments) : "";
+  return (attachments || []).map((a) => (a.sha256 ? `${a.label || a.name}:sha256:${a.sha256}` : `${a.label || "link"}:${a.url}`)).join(" | ");
+}
+
+// Accepts both the JSON of round-trip exports and the readable "label:url | name:sha256:<hash>" form.
+function parseAttachments(v) {
+  if (v.startsWith("[")) return JSON.parse(v);
+  return v
+    .split(" | ")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const file = /^(.*):sha256:([0-9a-f]{64})$/.exec(s);
+      if (file) return { name: file[1], sha256: file[2] };
+      const link = /^([^:]*):(.+:.*)$/.exec(s);
+      return link ? { label: link[1], url: link[2] } : { label: s, url: s };
+    });
+}
+
+function formatCustody(en, roundTrip) {
+  if (!isCustodyEntry(en)) return "";
+  return roundTrip ? JSON.stringify(en.custody) : `${new Date(en.custody.at).toISOString()} ${custodySummary(en.custody)}`;
+}
+
+function formatDisposition(en, roundTrip) {
+  if (!isDispositionEntry(en)) return "";
+  const { from, to, reviewAt } = en.disposition;
+  return roundTrip ? JSON.stringify(en.disposition) : `${from} → ${to}${reviewAt != null ? ` review ${new Date(reviewAt).toISOString()}` : ""}`;
+}
+
+function parseDisposition(v) {
+  if (v.startsWith("{")) return JSON.parse(v);
+  const m = /^(\w+) → (\w+)(?: review (\S+))?$/.exec(v);
+  if (!m) throw new Error("is not a disposition change (expected \"<from> → <to> review <time>\")");
+  return { from: m[1], to: m[2], ...(m[3] ? { reviewAt: parseCSVTime(m[3]) } : {}) };
+}
+
+function parseAmendment(v) {
+  if (v.startsWith("{")) return JSON.parse(v);
+  const m = /^(\S+): (.+)$/.exec(v);
+  if (!m) throw new Error("is not an amendment (expected \"<entry id>: <reason>\")");
+  return { entryId: m[1], reason: m[2] };
+}
+
+function parseCustody(v) {
+  if (v.startsWith("{")) return JSON.parse(v);
+  const m = /^(\S+) (.+?) → (.+?) at (.+?)(?: \((.*)\))?$/.exec(v);
+  if (!m) throw new Error("is not a custody transfer (expected \"<time> <released by> → <received by> at <location> (<purpose>)\")");
+  return { releasedBy: m[2], receivedBy: m[3], location: m[4], purpose: m[5] || "", at: parseCSVTime(m[1]), initials: "" };
+}
+
+// `level` says which record a column belongs to; `set` writes a non-empty cell back onto it.
+const CSV_COLUMNS = [
+  { key: "investigationId", level: "investigation", roundTrip: true, get: (r) => r.id, set: (r, v) => (r.id = v) },
+  { key: "caseNumber", level: "investigation", get: (r) => r.caseNumber || "", set: (r, v) => (r.caseNumber = v) },
+  { key: "investigationTitle", level: "investigation", get: (r) => r.title || "", set: (r, v) => (r.title = v) },
+  { key: "investigationStatus", level: "investigation", get: (r) => r.status || "", set: (r, v) => (r.status = v) },
+  { key: "investigationTags", level: "investigation", get: (r) => csvTags(r.tags), set: (r, v) => (r.tags = splitTags(v)) },
+  { key: "investigationDescription", level: "investigation", roundTrip: true, get: (r) => r.description || "", set: (r, v) => (r.description = v) },
+  { key: "investigationCreatedAt", level: "investigation", roundTrip: true, get: (r) => csvTime(r.createdAt), set: (r, v) => (r.createdAt = parseCSVTime(v)) },
+  { key: "investigationUpdatedAt", level: "investigation", roundTrip: true, get: (r) => csvTime(r.updatedAt), set: (r, v) => (r.updatedAt = parseCSVTime(v)) },
+  { key: "evidenceId", level: "evidence", roundTrip: true, get: (r) => r.id, set: (r, v) => (r.id = v) },
+  { key: "evidenceTitle", level: "evidence", get: (r) => r.title || "", set: (r, v) => (r.title = v) },
+  { key: "evidenceType", level: "evidence", get: (r) => r.type || "", set: (r, v) => (r.type = v) },
+  { key: "evidenceTags", level: "evidence", get: (r) => csvTags(r.tags), set: (r, v) => (r.tags = splitTags(v)) },
+  // Derived from the disposition entries, so only written.
+  { key: "evidenceDisposition", level: "evidence", get: (r) => currentDisposition(r).state, set: () => {} },
+  { key: "evidenceSummary", level: "evidence", roundTrip: true, get: (r) => r.summary || "", set: (r, v) => (r.summary = v) },
+  { key: "evidenceCreatedAt", level: "evidence", roundTrip: true, get: (r) => csvTime(r.createdAt), set: (r, v) => (r.createdAt = parseCSVTime(v)) },
+  { key: "evidenceUpdatedAt", level: "evidence", roundTrip: true, get: (r) => csvTime(r.updatedAt), set: (r, v) => (r.updatedAt = parseCSVTime(v)) },
+  // Always written: amendment and redaction rows refer to the entry they change by its id.
+  { key: "entryId", level: "entry", get: (r) => r.id, set: (r, v) => (r.id = v) },
+  { key: "entryTimestamp", level: "entry", get: (r) => csvTime(r.timestamp), set: (r, v) => (r.timestamp = parseCSVTime(v)) },
+  // With the offset of the entry's time zone, e.g. 2025-03-01T14:30:00.000+01:00.
+  { key: "entryOccurredAt", level: "entry", get: (r) => (r.occurredAt != null ? isoInZone(r.occurredAt, r.timeZone) : ""), set: (r, v) => (r.occurredAt = parseCSVTime(v)) },
+  {
+    key: "entryTimeZone",
+    level: "entry",
+    get: (r) => r.timeZone || "",
+    set: (r, v) => {
+      if (!isTimeZone(v)) throw new Error(`"${v}" is not a time zone`);
+      r.timeZone = v;
+    },
+  },
+  { key: "entryAuthor", level: "entry", get: (r) => r.author || "", set: (r, v) => (r.author = v) },
+  { key: "entryBody", level: "entry", get: (r) => r.body || "", set: (r, v) => (r.body = v) },
+  { key: "attachments", level: "entry", get: (r, roundTrip) => formatAttachments(r.attachments, roundTrip), set: (r, v) => (r.attachments = parseAttachments(v)) },
+  {
+    key: "custodyTransfer",
+    level: "entry",
+    get: (r, roundTrip) => formatCustody(r, roundTrip),
+    set: (r, v) => {
+      r.kind = "custody";
+      r.custody = parseCustody(v);
+    },
+  },
+  {
+    key: "dispositionChange",
+    level: "entry",
+    get: (r, roundTrip) => formatDisposition(r, roundTrip),
+    set: (r, v) => {
+      r.kind = "disposition";
+      r.disposition = parseDisposition(v);
+    },
+  },
+  {
+    key: "amendment",
+    level: "entry",
+    get: (r, roundTrip) => (!isAmendment(r) ? "" : roundTrip ? JSON.stringify(r.amendment) : `${r.amendment.entryId}: ${r.amendment.reason}`),
+    set: (r, v) => {
+      r.kind = "amendment";
+      r.amendment = parseAmendment(v);
+    },
+  },
+  {
+    key: "redaction",
+    level: "entry",
+    roundTrip: true,
+    get: (r) => (isRedaction(r) ? JSON.stringify(r.redaction) : ""),
+    set: (r, v) => {
+      r.kind = "redaction";
+      r.redaction = JSON.parse(v);
+    },
+  },
+  { key: "entryHash", level: "entry", roundTrip: true, get: (r) => r.hash || "", set: () => {} },
+];
+
+export function csvColumns(settings, roundTrip = false) {
+  const custom = (level) =>
+    settings.customFields[level].map((f) => ({
+      key: `${level}:${f.label}`,
+      level,
+      get: (r) => r.custom?.[f.id] ?? "",
+      set: (r, v) => {
+        if (f.type === "number" && !Number.isFinite(Number(v))) throw new Error(`"${v}" is not a number`);
+        r.custom = { ...r.custom, [f.id]: f.type === "number" ? Number(v) : v };
+      },
+    }));
+  return [...CSV_COLUMNS.filter((c) => roundTrip || !c.roundTrip), ...custom("investigation"), ...custom("evidence")];
+}
+
+export function buildCSV(db, { roundTrip = false } = {}) {
+  const columns = csvColumns(db.settings, roundTrip);
+  const row = (records) => columns.map((c) => (records[c.level] ? c.get(records[c.level], roundTrip) : ""));
+  const rows = [columns.map((c) => c.key)];
+  const invById = new Map(db.investigations.map((i) => [i.id, i]));
+  const evidenceByInv = new Map();
+  db.evidence.forEach((ev) => {
+    if (!evidenceByInv.has(ev.investigationId)) evidenceByInv.set(ev.investigationId, []);
+    evidenceByInv.get(ev.investigationId).push(ev);
+  });
+  if (roundTrip) {
+    db.investigations.forEach((inv) => {
+      const threads = evidenceByInv.get(inv.id) || [];
+      if (!threads.length) rows.push(row({ investigation: inv }));
+      threads.forEach((ev) => {
+        if (!(ev.entries || []).length) rows.push(row({ investigation: inv, evidence: ev }));
+        (ev.entries || []).forEach((en) => rows.push(row({ investigation: inv, evidence: ev, entry: en })));
+      });
+    });
+  } else {
+    db.evidence.forEach((ev) => {
+      (ev.entries || []).forEach((en) => rows.push(row({ investigation: invById.get(ev.investigationId), evidence: ev, entry: en })));
+    });
+  }
+  return rows.map((r) => r.map(csvSafe).join(",")).join("\n");
+}
+
+// The CSV export of everything not in the trash. Redacted text is masked, except in round-trip
+// exports, which keep it so that the entries still match their hashes when imported.
+export function exportCSVText(db, options = {}) {
+  const index = indexDB(db);
+  const evidence = [...index.evidence.values()];
+  return buildCSV({ ...db, investigations: [...index.investigations.values()], evidence: options.roundTrip ? evidence : redactEvidence(evidence) }, options);
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^﻿/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows;
+}
+
+// Column key -> index of the CSV column holding it, matched on the header names our exports write.
+export function guessCSVMapping(header, columns) {
+  const norm = (s) => s.trim().toLowerCase().replace(/[\s_]+/g, "");
+  return Object.fromEntries(columns.map((c) => [c.key, header.findIndex((h) => norm(h) === norm(c.key))]).filter(([, i]) => i >= 0));
+}
+
+// Rebuilds investigations, evidence threads and entries from CSV rows (header excluded). Rows are
+// grouped by investigation id, else case number, else title; evidence by id, else title. Records
+// without an id column are matched to existing ones the same way so that re-importing an export
+// updates instead of duplicating, and columns that are not mapped keep the existing values.
+// Returns { data, problems, warnings, resealed }; problems use the shape of validateDB. `resealed`
+// lists the threads ({ id, title }) whose entries no longer match the hashes in the file; each gets
+// a "reseal" revision in data, so that importing it records the re-sealing in the revision log.
+export async function csvToDB(rows, mapping, db, by) {
+  const columns = csvColumns(db.settings, true).filter((c) => mapping[c.key] != null);
+  const problems = [];
+  const warnings = [];
+  const now = Date.now();
+  const norm = (s) => (s || "").trim().toLowerCase();
+  const index = indexDB(db);
+  const byCaseNumber = new Map();
+  const byTitle = new Map();
+  index.investigations.forEach((i) => {
+    if (i.caseNumber && !byCaseNumber.has(norm(i.caseNumber))) byCaseNumber.set(norm(i.caseNumber), i);
+    if (!i.caseNumber && !byTitle.has(norm(i.title))) byTitle.set(norm(i.title), i);
+  });
+  const investigations = new Map();
+  const evidence = new Map();
+  const localEntries = new Map();
+  const exportedHashes = new Map();
+
+  const findInvestigation = (id, caseNumber, title) =>
+    (id && index.investigations.get(id)) || (caseNumber && byCaseNumber.get(norm(caseNumber))) || (!caseNumber && title && byTitle.get(norm(title))) || null;
+
+  rows.forEach((cells, idx) => {
+    const line = idx + 2;
+    const cell = (key) => (mapping[key] != null ? (cells[mapping[key]] ?? "").trim() : "");
+    if (cells.every((c) => !c.trim())) return;
+    const fill = (level, record) => {
+      columns
+        .filter((c) => c.level === level)
+        .forEach((c) => {
+          const v = cell(c.key);
+          if (!v) return;
+          try {
+            c.set(record, v);
+          } catch (e) {
+            problems.push({ path: `row ${line}, ${c.key}`, message: e.message });
+          }
+        });
+      return record;
+    };
+
+    const caseNumber = cell("caseNumber");
+    const invTitle = cell("investigationTitle");
+    const invKey = cell("investigationId") || (caseNumber ? `#${norm(caseNumber)}` : `t:${norm(invTitle)}`);
+    if (!cell("investigationId") && !caseNumber && !invTitle) {
+      problems.push({ path: `row ${line}`, message: "has no investigation id, case number or title" });
+      return;
+    }
+    let inv = investigations.get(invKey);
+    if (!inv) {
+      const local = findInvestigation(cell("investigationId"), caseNumber, invTitle);
+      inv = fill("investigation", {
+        ...(local || { id: uuid(), title: "", caseNumber: "", description: "", status: db.settings.statuses[0], createdAt: now, updatedAt: now, tags: [] }),
+      });
+      if (!inv.title) inv.title = inv.caseNumber;
+      investigations.set(invKey, inv);
+    }
+
+    const evTitle = cell("evidenceTitle");
+    if (!cell("evidenceId") && !evTitle) return;
+    const evKey = `${inv.id}/${cell("evidenceId") || norm(evTitle)}`;
+    let ev = evidence.get(evKey);
+    if (!ev) {
+      const local =
+        (cell("evidenceId") && index.evidence.get(cell("evidenceId"))) ||
+        (!cell("evidenceId") && (index.evidenceByInvestigation.get(inv.id) || []).find((e) => norm(e.title) === norm(evTitle))) ||
+        null;
+      ev = fill("evidence", {
+        ...(local || { id: uuid(), title: "", type: db.settings.evidenceTypes[0], summary: "", createdAt: now, updatedAt: now, tags: [] }),
+        investigationId: inv.id,
+        entries: [],
+      });
+      evidence.set(evKey, ev);
+      localEntries.set(evKey, local?.entries || []);
+    }
+
+    if (!["entryId", "entryTimestamp", "entryBody", "custodyTransfer", "dispositionChange", "amendment", "redaction"].some((k) => cell(k))) return;
+    if (!cell("entryTimestamp")) {
+      problems.push({ path: `row ${line}, entryTimestamp`, message: "is required for an entry" });
+      return;
+    }
+    const timestamp = Date.parse(cell("entryTimestamp"));
+    const known = localEntries.get(evKey);
+    const local =
+      (cell("entryId") && known.find((en) => en.id === cell("entryId"))) ||
+      (!cell("entryId") && known.find((en) => en.timestamp === timestamp && en.author === cell("entryAuthor") && en.body === cell("entryBody"))) ||
+      null;
+    const base = local ? { ...local } : { id: uuid(), author: by || "Unknown", body: "", timestamp: now, attachments: [] };
+    delete base.hash;
+    delete base.prevHash;
+    const en = fill("entry", base);
+    if (cell("entryHash")) exportedHashes.set(en.id, cell("entryHash"));
+    ev.entries.push(en);
+  });
+
+  const threads = [];
+  const resealed = [];
+  for (const ev of evidence.values()) {
+    const ordered = [...ev.entries].sort((a, b) => b.timestamp - a.timestamp);
+    const entries = await sealChain(ordered);
+    if (entries.some((en) => exportedHashes.has(en.id) && exportedHashes.get(en.id) !== en.hash)) {
+      warnings.push(`Entries of "${ev.title}" no longer match the hashes in the file; they were re-sealed.`);
+      resealed.push({ id: ev.id, title: ev.title });
+    }
+    threads.push({ ...ev, entries });
+  }
+  const revisions = resealed.map((ev) => makeRevision("evidence", "reseal", null, ev, by));
+
+  const found = (list, key) => [...new Set([...list].map((r) => r[key]).filter(Boolean))];
+  const settings = mergeSettings(db.settings, {
+    statuses: found(investigations.values(), "status"),
+    evidenceTypes: found(threads, "type"),
+  });
+  return { data: { ...emptyDB(), investigations: [...investigations.values()], evidence: threads, revisions, settings }, problems, warnings, resealed };
+}
+
+// A parsed CSV file (header row first) ready to merge, as prepareImport does for JSON. `mapping`
+// defaults to matching the header row. Returns { invalid: problems } when the file fails
+// validation, otherwise { data, warnings, resealed }.
+export async function prepareCSVImport(rows, mapping, db, by) {
+  if (rows.length < 2) throw new Error("the CSV file has no rows");
+  const { data, problems, warnings, resealed } = await csvToDB(rows.slice(1), mapping || guessCSVMapping(rows[0], csvColumns(db.settings, true)), db, by);
+  const invalid = [...problems, ...validateDB(data)];
+  return invalid.length ? { invalid } : { data, warnings, resealed };
+}
+
+// ---- Markdown & references ----
+// Descriptions, summaries and entry bodies are Markdown: headings, **bold**, *italic*, ~~strike~~,
+// `code`, fenced code blocks, lists, > quotes, --- rules and [links](https://…). The parser produces
+// a small tree that is rendered as React elements, never as HTML, so stored text cannot inject
+// markup; link targets other than http(s) and mailto are shown as plain text.
+//
+// References: #CASE-123 names an investigation by case number and @evidence-title an evidence
+// thread by its title in lowercase with dashes for spaces and punctuation (a title shared by
+// several threads resolves to the one in the same investigation). Unknown references stay text.
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+const INLINE_RULES = [
+  ["code", /`([^`\n]+)`/],
+  ["link", /\[([^\]\n]+)\]\(([^)\s]+)\)/],
+  ["url", /https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"]/],
+  ["strong", /\*\*(.+?)\*\*|(?<![\p{L}\p{N}])__(.+?)__(?![\p{L}\p{N}])/u],
+  ["strike", /~~(.+?)~~/],
+  ["em", /\*([^*\s](?:.*?[^*\s])?)\*|(?<![\p{L}\p{N}])_([^_\s](?:.*?[^_\s])?)_(?![\p{L}\p{N}])/u],
+  ["case", /(?<![\p{L}\p{N}_#&])#([\p{L}\p{N}](?:[\p{L}\p{N}_-]*[\p{L}\p{N}])?)/u],
+  ["evidence", /(?<![\p{L}\p{N}_@.])@([\p{L}\p{N}](?:[\p{L}\p{N}_-]*[\p{L}\p{N}])?)/u],
+];
+
+// Inline nodes: { type: "text", text } | { type: "code", text } | { type: "link", href, children }
+// | { type: "strong" | "em" | "strike", children } | { type: "ref", kind: "case" | "evidence", key, text }.
+function parseInline(text) {
+  const nodes = [];
+  let rest = text;
+  while (rest) {
+    let best = null;
+    INLINE_RULES.forEach(([type, re]) => {
+      const m = re.exec(rest);
+      if (m && (!best || m.index < best.m.index)) best = { type, m };
+    });
+    if (!best) {
+      nodes.push({ type: "text", text: rest });
+      break;
+    }
+    const { type, m } = best;
+    if (m.index) nodes.push({ type: "text", text: rest.slice(0, m.index) });
+    if (type === "code") nodes.push({ type, text: m[1] });
+    else if (type === "link") nodes.push(SAFE_LINK.test(m[2]) ? { type, href: m[2], children: parseInline(m[1]) } : { type: "text", text: m[0] });
+    else if (type === "url") nodes.push({ type: "link", href: m[0], children: [{ type: "text", text: m[0] }] });
+    else if (type === "case" || type === "evidence") nodes.push({ type: "ref", kind: type, key: m[1], text: m[0] });
+    else nodes.push({ type, children: parseInline(m[1] ?? m[2]) });
+    rest = rest.slice(m.index + m[0].length);
+  }
+  return nodes;
+}
+
+// Block nodes: { type: "paragraph", lines: [inline[]] } | { type: "heading", level, children }
+// | { type: "list", ordered, items: [inline[]] } | { type: "quote", blocks } | { type: "code", text } | { type: "rule" }.
+export function parseMarkdown(text) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  const listItem = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+    } else if (/^\s*```/.test(line)) {
+      const body = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) body.push(lines[i]);
+      blocks.push({ type: "code", text: body.join("\n") });
+      i++;
+    } else if (/^#{1,6}\s/.test(line)) {
+      const [, hashes, title] = /^(#{1,6})\s+(.*)$/.exec(line);
+      blocks.push({ type: "heading", level: hashes.length, children: parseInline(title.trim()) });
+      i++;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+    } else if (/^\s*>/.test(line)) {
+      const body = [];
+      for (; i < lines.length && /^\s*>/.test(lines[i]); i++) body.push(lines[i].replace(/^\s*>\s?/, ""));
+      blocks.push({ type: "quote", blocks: parseMarkdown(body.join("\n")) });
+    } else if (listItem.test(line)) {
+      const ordered = /^\s*\d/.test(line);
+      const items = [];
+      // Indented lines that follow an item continue it.
+      for (; i < lines.length; i++) {
+        const m = listItem.exec(lines[i]);
+        if (m ? /^\d/.test(m[1]) !== ordered : !/^\s+\S/.test(lines[i])) break;
+        if (m) items.push(m[2]);
+        else items[items.length - 1] += ` ${lines[i].trim()}`;
+      }
+      blocks.push({ type: "list", ordered, items: items.map(parseInline) });
+    } else {
+      const body = [];
+      for (; i < lines.length && lines[i].trim() && !/^(\s*```|#{1,6}\s|\s*>)/.test(lines[i]) && !listItem.test(lines[i]); i++) body.push(lines[i]);
+      blocks.push({ type: "paragraph", lines: body.map(parseInline) });
+    }
+  }
+  return blocks;
+}
+
+function walkInline(nodes, visit) {
+  nodes.forEach((n) => {
+    visit(n);
+    if (n.children) walkInline(n.children, visit);
+  });
+}
+
+function walkMarkdown(blocks, visit) {
+  blocks.forEach((b) => {
+    if (b.type === "paragraph") b.lines.forEach((l) => walkInline(l, visit));
+    else if (b.type === "heading") walkInline(b.children, visit);
+    else if (b.type === "list") b.items.forEach((it) => walkInline(it, visit));
+    else if (b.type === "quote") walkMarkdown(b.blocks, visit);
+  });
+}
+
+// The text without Markdown syntax, for one-line previews.
+export function markdownPlain(text) {
+  const inline = (nodes) => nodes.map((n) => (n.children ? inline(n.children) : n.text)).join("");
+  const plain = (blocks) =>
+    blocks
+      .map((b) => {
+        if (b.type === "paragraph") return b.lines.map(inline).join("\n");
+        if (b.type === "heading") return inline(b.children);
+        if (b.type === "list") return b.items.map(inline).join("\n");
+        if (b.type === "quote") return plain(b.blocks);
+        return b.type === "code" ? b.text : "";
+      })
+      .filter(Boolean)
+      .join("\n");
+  return plain(parseMarkdown(text));
+}
+
+const refSlug = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+
+// resolve(kind, key, investigationId) -> { investigation, evidence? } or null. `investigationId` is
+// where the reference was written, used to pick among evidence threads with the same title.
+export function makeRefResolver(investigations, evidence) {
+  const invById = new Map(investigations.map((i) => [i.id, i]));
+  const byCase = new Map();
+  investigations.forEach((i) => {
+    const key = (i.caseNumber || "").trim().toLowerCase();
+    if (key && !byCase.has(key)) byCase.set(key, i);
+  });
+  const bySlug = new Map();
+  evidence.forEach((ev) => {
+    if (!invById.has(ev.investigationId)) return;
+    const key = refSlug(ev.title);
+    if (!bySlug.has(key)) bySlug.set(key, []);
+    bySlug.get(key).push(ev);
+  });
+  return (kind, key, investigationId) => {
+    if (kind === "case") {
+      const investigation = byCase.get(key.toLowerCase());
+      return investigation ? { investigation } : null;
+    }
+    const matches = bySlug.get(refSlug(key)) || [];
+    const ev = matches.find((e) => e.investigationId === investigationId) || matches[0];
+    return ev ? { investigation: invById.get(ev.investigationId), evidence: ev } : null;
+  };
+}
+
+// Map of investigation or evidence id -> [{ investigation, evidence?, entry? }] for every text
+// that references it, each source listed once. References from a record to its own investigation
+// or thread are left out.
+export function buildBacklinks(investigations, evidence, resolve) {
+  const out = new Map();
+  const scan = (text, source) => {
+    if (!text || !/[#@]/.test(text)) return;
+    const seen = new Set();
+    walkMarkdown(parseMarkdown(text), (n) => {
+      if (n.type !== "ref") return;
+      const target = resolve(n.kind, n.key, source.investigation.id);
+      const id = target && (target.evidence || target.investigation).id;
+      if (!id || id === source.investigation.id || id === source.evidence?.id || seen.has(id)) return;
+      seen.add(id);
+      if (!out.has(id)) out.set(id, []);
+      out.get(id).push(source);
+    });
+  };
+  const invById = new Map(investigations.map((i) => [i.id, i]));
+  investigations.forEach((i) => scan(i.description, { investigation: i }));
+  evidence.forEach((ev) => {
+    const investigation = invById.get(ev.investigationId);
+    if (!investigation) return;
+    scan(ev.summary, { investigation, evidence: ev });
+    (ev.entries || []).forEach((en) => scan(en.body, { investigation, evidence: ev, entry: en }));
+  });
+  return out;
+}
+
+// ---- Record indexes ----
+// db keeps plain arrays: they are what IndexedDB, merging, sync and the exports work with, and a
+// change replaces only the arrays it touches. Lookups go through these maps of live records
+// instead; passing the previous result rebuilds only what depends on a changed array.
+//   investigations: Map id -> investigation
+//   evidence: Map id -> evidence (only threads whose investigation is live)
+//   evidenceByInvestigation: Map investigation id -> [evidence], most recently updated first
+//   entriesByEvidence: Map evidence id -> [entry], newest first
+//   entries: Map entry id -> { evidence, entry }
+export function indexDB(db, previous) {
+  const reuseInvestigations = previous && previous.source.investigations === db.investigations;
+  if (reuseInvestigations && previous.source.evidence === db.evidence) return previous;
+
+  const investigations = reuseInvestigations ? previous.investigations : new Map(db.investigations.filter((i) => !i.deletedAt).map((i) => [i.id, i]));
+  const evidence = new Map();
+  const evidenceByInvestigation = new Map();
+  const entriesByEvidence = new Map();
+  const entries = new Map();
+  db.evidence.forEach((ev) => {
+    if (ev.deletedAt || !investigations.has(ev.investigationId)) return;
+    evidence.set(ev.id, ev);
+    if (!evidenceByInvestigation.has(ev.investigationId)) evidenceByInvestigation.set(ev.investigationId, []);
+    evidenceByInvestigation.get(ev.investigationId).push(ev);
+    entriesByEvidence.set(ev.id, ev.entries || []);
+    (ev.entries || []).forEach((entry) => entries.set(entry.id, { evidence: ev, entry }));
+  });
+  evidenceByInvestigation.forEach((list) => list.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)));
+  return { source: { investigations: db.investigations, evidence: db.evidence }, investigations, evidence, evidenceByInvestigation, entriesByEvidence, entries };
+}
+
+// ---- Search ----
+// Queries are free-text terms (prefix matched, AND-ed) and "quoted phrases", plus qualifiers:
+//   tag:DNA  type:Forensics  author:"Unit 12"  status:Open  after:2025-01-01  before:2025-02-01  idle:30
+//   disposition:lab  disposition:"In storage"
+// (idle:N finds investigations without a new entry in the last N days.)
+// Repeating a qualifier ORs its values; different qualifiers AND together.
+// A qualifier with no free text only returns records at the level it describes (e.g. author: finds
+// entries, type: finds evidence), so a bare filter does not list every entry of every thread.
+const LEVELS = ["investigation", "evidence", "entry"];
+
+function hasTag(rec, value) {
+  return (rec?.tags || []).some((t) => t.toLowerCase() === value.toLowerCase());
+}
+
+function docTime({ level, investigation, evidence, entry }) {
+  if (level === "entry") return entry.timestamp;
+  const rec = level === "evidence" ? evidence : investigation;
+  return rec.updatedAt || rec.createdAt;
+}
+
+function parseDay(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return d.getMonth() === Number(m[2]) - 1 && d.getDate() === Number(m[3]) ? d.getTime() : null;
+}
+
+const matchesDisposition = (state, v) => [state, dispositionLabel(state)].some((s) => s.toLowerCase() === v.toLowerCase());
+
+const QUALIFIERS = {
+  tag: { levels: ["investigation", "evidence"], test: (doc, v) => hasTag(doc.investigation, v) || hasTag(doc.evidence, v) },
+  type: { levels: ["evidence"], test: (doc, v) => !!doc.evidence && (doc.evidence.type || "").toLowerCase() === v.toLowerCase() },
+  author: { levels: ["entry"], test: (doc, v) => !!doc.entry && (doc.entry.author || "").toLowerCase().includes(v.toLowerCase()) },
+  disposition: { levels: ["evidence"], test: (doc, v) => !!doc.evidence && matchesDisposition(currentDisposition(doc.evidence).state, v) },
+  status: { levels: ["investigation"], test: (doc, v) => (doc.investigation.status || "").toLowerCase() === v.toLowerCase() },
+  after: { levels: ["entry"], date: true, test: (doc, v) => docTime(doc) >= parseDay(v) },
+  // before: is exclusive of the given day.
+  before: { levels: ["entry"], date: true, test: (doc, v) => docTime(doc) < parseDay(v) },
+  idle: { levels: ["investigation"], days: true, test: (doc, v) => doc.activeAt < Date.now() - Number(v) * DAY_MS },
+};
+
+function tokenize(text) {
+  return String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function parseQuery(query) {
+  const parsed = { terms: [], filters: {}, errors: [] };
+  const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(query))) {
+    const key = (m[1] || m[3] || "").toLowerCase();
+    const value = m[2] ?? m[4];
+    if (key && QUALIFIERS[key]) {
+      if (!value) continue;
+      if (QUALIFIERS[key].date && parseDay(value) == null) {
+        parsed.errors.push(`${key}: expects a date like 2025-01-31`);
+        continue;
+      }
+      if (QUALIFIERS[key].days && !/^\d+$/.test(value)) {
+        parsed.errors.push(`${key}: expects a number of days`);
+        continue;
+      }
+      (parsed.filters[key] ||= []).push(value);
+    } else if (m[5] !== undefined) {
+      if (m[5].trim()) parsed.terms.push({ text: m[5].toLowerCase(), phrase: true });
+    } else {
+      parsed.terms.push({ text: m[0].toLowerCase(), phrase: false });
+    }
+  }
+  return parsed;
+}
+
+function makeDoc(level, ctx, fields) {
+  const kept = fields.filter(([, text]) => text);
+  const text = kept.map(([, t]) => t).join("\n");
+  return { level, ...ctx, fields: kept, lower: text.toLowerCase(), tokens: tokenize(text) };
+}
+
+export function buildSearchIndex(db) {
+  const invById = new Map(db.investigations.map((i) => [i.id, i]));
+  const lastEntries = lastEntryTimes(db.evidence);
+  const activeAt = (inv) => lastEntries.get(inv.id) || inv.createdAt;
+  const custom = (kind, record) => customFieldValues(db.settings.customFields[kind], record).map(([f, text]) => [f.label, text]);
+  const docs = db.investigations.map((inv) =>
+    makeDoc("investigation", { investigation: inv, activeAt: activeAt(inv) }, [
+      ["Title", inv.title],
+      ["Case #", inv.caseNumber],
+      ["Description", inv.description],
+      ["Tags", (inv.tags || []).join(", ")],
+      ...custom("investigation", inv),
+    ])
+  );
+  db.evidence.forEach((ev) => {
+    const inv = invById.get(ev.investigationId);
+    if (!inv) return;
+    docs.push(
+      makeDoc("evidence", { investigation: inv, evidence: ev, activeAt: activeAt(inv) }, [
+        ["Title", ev.title],
+        ["Summary", ev.summary],
+        ["Type", ev.type],
+        ["Tags", (ev.tags || []).join(", ")],
+        ...custom("evidence", ev),
+      ])
+    );
+    (ev.entries || []).forEach((en) =>
+      docs.push(
+        makeDoc("entry", { investigation: inv, evidence: ev, entry: en, activeAt: activeAt(inv) }, [
+          ["Note", en.body],
+          ["Author", en.author],
+          ["Custody", isCustodyEntry(en) ? CUSTODY_FIELDS.map(([f]) => en.custody[f]).filter(Boolean).join(" • ") : ""],
+          ["Attachments", (en.attachments || []).map((a) => a.label || a.url).join(", ")],
+        ])
+      )
+    );
+  });
+
+  const postings = new Map();
+  // Docs per tag key, counting the tags of the evidence and investigation a doc sits in.
+  const tagged = new Map();
+  docs.forEach((doc, i) => {
+    new Set(doc.tokens).forEach((tok) => {
+      if (!postings.has(tok)) postings.set(tok, []);
+      postings.get(tok).push(i);
+    });
+    new Set([...(doc.investigation.tags || []), ...(doc.evidence?.tags || [])].map(tagKey)).forEach((key) => {
+      if (!tagged.has(key)) tagged.set(key, []);
+      tagged.get(key).push(i);
+    });
+  });
+  return { docs, postings, tagged, vocabulary: [...postings.keys()].sort() };
+}
+
+// Doc indexes containing any token that starts with `prefix`; the vocabulary is sorted, so the
+// matching tokens are one contiguous run.
+function docsWithPrefix(index, prefix) {
+  const { vocabulary, postings } = index;
+  let lo = 0;
+  let hi = vocabulary.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (vocabulary[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const out = new Set();
+  for (let i = lo; i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) postings.get(vocabulary[i]).forEach((d) => out.add(d));
+  return out;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function highlightParts(text, needles) {
+  if (!needles.length) return [{ text, hit: false }];
+  const re = new RegExp(`(${[...needles].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})`, "gi");
+  return text
+    .split(re)
+    .filter(Boolean)
+    .map((part) => ({ text: part, hit: needles.some((n) => part.toLowerCase() === n) }));
+}
+
+function makeSnippet(doc, needles) {
+  const field = doc.fields.find(([, text]) => needles.some((n) => text.toLowerCase().includes(n))) || doc.fields[0];
+  if (!field) return null;
+  const [label, text] = field;
+  const lower = text.toLowerCase();
+  const first = Math.min(...needles.map((n) => lower.indexOf(n)).filter((i) => i >= 0));
+  const start = Number.isFinite(first) ? Math.max(0, first - 40) : 0;
+  const end = start + 160;
+  return { label, parts: highlightParts(text.slice(start, end), needles), clippedStart: start > 0, clippedEnd: end < text.length };
+}
+
+// Returns hits grouped as [{ investigation, snippet, evidence: [{ evidence, snippet, entries: [{ entry, snippet }] }] }].
+export function runSearch(index, query) {
+  const parsed = parseQuery(query);
+  let candidates = null;
+  parsed.terms.forEach((term) =>
+    tokenize(term.text).forEach((tok) => {
+      const found = docsWithPrefix(index, tok);
+      candidates = candidates ? new Set([...candidates].filter((d) => found.has(d))) : found;
+    })
+  );
+  if (parsed.filters.tag) {
+    const found = new Set(parsed.filters.tag.flatMap((v) => index.tagged.get(tagKey(v)) || []));
+    candidates = candidates ? new Set([...candidates].filter((d) => found.has(d))) : found;
+  }
+  const filterKeys = Object.keys(parsed.filters);
+  const filterLevels = new Set(filterKeys.flatMap((k) => QUALIFIERS[k].levels));
+  const needles = parsed.terms.flatMap((t) => (t.phrase ? [t.text] : tokenize(t.text)));
+
+  const hits = (candidates ? [...candidates].map((d) => index.docs[d]) : index.docs).filter(
+    (doc) =>
+      parsed.terms.filter((t) => t.phrase).every((t) => doc.lower.includes(t.text)) &&
+      filterKeys.every((k) => parsed.filters[k].some((v) => QUALIFIERS[k].test(doc, v))) &&
+      (needles.length || filterLevels.has(doc.level))
+  );
+
+  const groups = new Map();
+  hits
+    .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level))
+    .forEach((doc) => {
+      const { investigation: inv, evidence: ev, entry } = doc;
+      if (!groups.has(inv.id)) groups.set(inv.id, { investigation: inv, snippet: null, evidence: new Map() });
+      const group = groups.get(inv.id);
+      const snippet = makeSnippet(doc, needles);
+      if (doc.level === "investigation") {
+        group.snippet = needles.length ? snippet : null;
+        return;
+      }
+      if (!group.evidence.has(ev.id)) group.evidence.set(ev.id, { evidence: ev, snippet: null, entries: [] });
+      const evGroup = group.evidence.get(ev.id);
+      if (doc.level === "evidence") evGroup.snippet = snippet;
+      else evGroup.entries.push({ entry, snippet });
+    });
+
+  return {
+    errors: parsed.errors,
+    count: hits.length,
+    groups: [...groups.values()].map((g) => ({ ...g, evidence: [...g.evidence.values()] })),
+  };
+}
+
+// ---- Dashboard ----
+// Workload figures. Each one carries the sidebar filter that lists the records behind it:
+// { status } for the status select or { query } for the search box.
+const DASHBOARD_WEEKS = 12;
+
+// Time of the newest entry per investigation id.
+function lastEntryTimes(evidence) {
+  const out = new Map();
+  evidence.forEach((ev) =>
+    (ev.entries || []).forEach((en) => {
+      if (en.timestamp > (out.get(ev.investigationId) || 0)) out.set(ev.investigationId, en.timestamp);
+    })
+  );
+  return out;
+}
+
+// Local midnight of the Monday starting the week of `ts`.
+function weekStart(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+const dayString = (ts) => toDateTimeInput(ts).slice(0, 10);
+const quoted = (key, value) => `${key}:"${value}"`;
+
+export function dashboardStats({ investigations, evidence, users, settings }, now = Date.now()) {
+  const tally = (list, key) => {
+    const counts = new Map();
+    list.forEach((x) => counts.set(key(x), (counts.get(key(x)) || 0) + 1));
+    return counts;
+  };
+  // Configured names first, in their order, then any others still in use.
+  const ordered = (names, counts) => [...names, ...[...counts.keys()].filter((n) => !names.includes(n))];
+
+  const invIds = new Set(investigations.map((i) => i.id));
+  const liveEvidence = evidence.filter((ev) => invIds.has(ev.investigationId));
+  const entries = liveEvidence.flatMap((ev) => ev.entries || []);
+
+  const byStatus = tally(investigations, (i) => i.status);
+  const statuses = ordered(settings.statuses, byStatus).map((status) => ({ label: status, count: byStatus.get(status) || 0, filter: { status } }));
+
+  const byType = tally(liveEvidence, (ev) => ev.type);
+  const types = ordered(settings.evidenceTypes, byType).map((type) => ({ label: type, count: byType.get(type) || 0, filter: { query: quoted("type", type) } }));
+
+  const weeks = [];
+  for (let i = DASHBOARD_WEEKS - 1; i >= 0; i--) {
+    const start = new Date(weekStart(now));
+    start.setDate(start.getDate() - 7 * i);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+    weeks.push({
+      label: start.toLocaleDateString(),
+      from: start.getTime(),
+      count: entries.filter((en) => en.timestamp >= start.getTime() && en.timestamp < end.getTime()).length,
+      filter: { query: `after:${dayString(start.getTime())} before:${dayString(end.getTime())}` },
+    });
+  }
+
+  // Entries written by a profile are counted under its current name; older entries by their author text.
+  const usersById = new Map(users.map((u) => [u.id, u]));
+  const byAuthor = new Map();
+  entries.forEach((en) => {
+    const user = usersById.get(en.authorId);
+    const key = user ? user.id : `name:${en.author}`;
+    if (!byAuthor.has(key)) byAuthor.set(key, { label: user ? userLabel(user) : en.author || "Unknown", name: user ? user.name : en.author, count: 0 });
+    byAuthor.get(key).count++;
+  });
+  const authors = [...byAuthor.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 10)
+    .map(({ label, name, count }) => ({ label, count, filter: { query: quoted("author", name) } }));
+
+  const rule = staleRule(settings);
+  const lastEntries = lastEntryTimes(liveEvidence);
+  const stale = investigations
+    .filter((i) => rule.statuses.includes(i.status))
+    .map((i) => ({ investigation: i, activeAt: lastEntries.get(i.id) || i.createdAt }))
+    .filter((s) => s.activeAt < now - rule.days * DAY_MS)
+    .sort((a, b) => a.activeAt - b.activeAt)
+    .map((s) => ({ ...s, idleDays: Math.floor((now - s.activeAt) / DAY_MS) }));
+
+  return {
+    totals: { investigations: investigations.length, evidence: liveEvidence.length, entries: entries.length },
+    statuses,
+    types,
+    weeks,
+    authors,
+    stale,
+    staleRule: rule,
+    due: dueForReview({ investigations, evidence: liveEvidence, settings }, now),
+    staleFilter: { query: [`idle:${rule.days}`, ...rule.statuses.map((s) => quoted("status", s))].join(" ") },
+  };
+}
+
+// ---- Headless API ----
+// A storage adapter is { load() -> db or null, save(prev, next) }. Like saveDB, save may write only
+// what changed since `prev`; with no `prev` it rewrites everything. The app runs on indexedDBStorage,
+// whose save resolves to the changes written, for the other tabs.
+export function indexedDBStorage() {
+  return { load: loadDB, save: saveDB };
+}
+
+export function memoryStorage(initial = null) {
+  let data = initial;
+  return {
+    load: async () => data,
+    save: async (prev, next) => {
+      data = next;
+    },
+  };
+}
+
+// One JSON file, replaced through a temporary file on every save (Node only).
+export function fileStorage(path) {
+  return {
+    async load() {
+      const { readFile } = await import("node:fs/promises");
+      try {
+        return JSON.parse(await readFile(path, "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async save(prev, next) {
+      const { rename, writeFile } = await import("node:fs/promises");
+      await writeFile(`${path}.tmp`, JSON.stringify(next, null, 2));
+      await rename(`${path}.tmp`, path);
+    },
+  };
+}
+
+const describeProblems = (problems) => problems.map((p) => `${p.path} ${p.message}`).join("; ");
+
+// The database without the UI, for scripts and tests:
+//
+//   const edb = await openEvidenceDB({ storage: fileStorage("cases.json"), actor: "Bulk import" });
+//   const inv = await edb.createInvestigation({ title: "Warehouse break-in", caseNumber: "2025-014" });
+//   const ev = await edb.createEvidence(inv.id, { title: "CCTV export", type: "Digital" });
+//   await edb.addEntry(ev.id, { body: "Copied from the DVR" });
+//   await writeFile("cases.csv", edb.exportCSV());
+//
+// Stored data from older versions is migrated on open; save() writes it back. Changes run one at a
+// time in call order, and each is saved before its promise resolves. `actor` is recorded in the
+// revision log and as the author of entries; roles are not checked. Attached files are not stored,
+// only the attachment metadata on entries.
+export async function openEvidenceDB({ storage = memoryStorage(), actor = "Script", authorId } = {}) {
+  const stored = await storage.load();
+  let db = stored ? await migrateDB({ ...emptyDB(), ...stored, version: stored.version || 1 }) : emptyDB();
+  let index = null;
+  let queue = Promise.resolve();
+
+  const live = () => (index = indexDB(db, index));
+  // Queues `change(db)`, which returns the next db, and saves the result.
+  const apply = (change) => {
+    const task = queue.then(async () => {
+      const next = await change(db);
+      if (next !== db) {
+        await storage.save(db, next);
+        db = next;
+      }
+    });
+    queue = task.catch(() => {});
+    return task;
+  };
+  const check = (kind, record) => {
+    const problems = [];
+    checkRecord(kind, record, kind, problems);
+    if (problems.length) throw new Error(describeProblems(problems));
+    return record;
+  };
+  const merge = (data, incomingBase, prefer) =>
+    apply((current) => {
+      const plan = planMerge(current, data, incomingBase);
+      const resolutions = {};
+      if (prefer === "incoming") {
+        Object.values(plan).forEach((section) => (section?.conflicts || []).forEach((c) => (resolutions[c.incoming.id] = "incoming")));
+      }
+      return applyMerge(current, plan, resolutions);
+    });
+
+  // `data` is { body, attachments?, kind?, custody?, disposition?, occurredAt?, timeZone? }; the entry is sealed onto the thread.
+  async function addEntry(evidenceId, data) {
+    const draft = check("entry", newEntry(data, actor, authorId));
+    await apply((current) => appendEntry(current, evidenceId, draft));
+    return db.evidence.find((e) => e.id === evidenceId).entries.find((en) => en.id === draft.id);
+  }
+
+  return {
+    get data() {
+      return db;
+    },
+    investigations: () => [...live().investigations.values()],
+    evidence: (investigationId) => live().evidenceByInvestigation.get(investigationId) || [],
+    getInvestigation: (id) => live().investigations.get(id) || null,
+    getEvidence: (id) => live().evidence.get(id) || null,
+
+    async createInvestigation(data) {
+      let inv;
+      await apply((current) => {
+        inv = check("investigation", newRecord({ status: current.settings.statuses[0], tags: [], ...data }));
+        return createRecord(current, "investigation", inv, actor);
+      });
+      return inv;
+    },
+    updateInvestigation: (id, patch) => apply((current) => updateRecord(current, "investigation", id, patch, actor)),
+    deleteInvestigation: (id) => apply((current) => trashRecord(current, "investigation", id, actor)),
+
+    async createEvidence(investigationId, data) {
+      let ev;
+      await apply((current) => {
+        if (!current.investigations.some((i) => i.id === investigationId && !i.deletedAt)) throw new Error(`No investigation ${investigationId}`);
+        ev = check("evidence", newRecord({ type: current.settings.evidenceTypes[0], tags: [], ...data, investigationId, entries: [] }));
+        return createRecord(current, "evidence", ev, actor);
+      });
+      return ev;
+    },
+    updateEvidence: (id, patch) => apply((current) => updateRecord(current, "evidence", id, patch, actor)),
+    deleteEvidence: (id) => apply((current) => trashRecord(current, "evidence", id, actor)),
+
+    addEntry,
+    // Moves the item to `to` (or, with its current state, only sets a new review date).
+    setDisposition(evidenceId, to, justification, reviewAt) {
+      const ev = live().evidence.get(evidenceId);
+      if (!ev) return Promise.reject(new Error("Evidence thread no longer exists."));
+      return addEntry(evidenceId, dispositionData(currentDisposition(ev).state, to, justification, reviewAt));
+    },
+
+    // Records a corrected text for an entry; the original stays in the thread.
+    amendEntry: (evidenceId, entryId, body, reason) => addEntry(evidenceId, amendmentData(entryId, body, reason)),
+    redactEntry: (evidenceId, entryId, texts, reason) => addEntry(evidenceId, redactionData(entryId, texts, reason)),
+
+    verify: () => findBrokenChains(db),
+    // With { full: true } redacted text is left in.
+    exportJSON: (options) => exportJSONText(db, options),
+    // The same file as the app's CSV export (see exportCSVText).
+    exportCSV: (options) => exportCSVText(db, options),
+
+    // Merges (or with mode "replace", replaces everything with) a JSON export. Conflicting records
+    // keep the local version unless `prefer` is "incoming". Resolves to the broken chains found.
+    async importJSON(text, { mode = "merge", prefer = "local" } = {}) {
+      const prepared = await prepareImport(text);
+      if (prepared.invalid) throw new Error(`The file is invalid: ${describeProblems(prepared.invalid)}`);
+      if (mode === "replace") await apply((current) => ({ ...replaceWith(prepared.data), sync: current.sync }));
+      else await merge(prepared.data, prepared.incomingBase, prefer);
+      return { problems: prepared.problems };
+    },
+    // Merges a CSV file; `mapping` (column key -> column index) defaults to matching the header row.
+    // Threads whose entries no longer match the hashes in the file are refused unless `reseal` is set.
+    async importCSV(text, { mapping, prefer = "local", reseal = false } = {}) {
+      const { invalid, data, warnings, resealed } = await prepareCSVImport(parseCSV(text), mapping, db, actor);
+      if (invalid) throw new Error(`The file is invalid: ${describeProblems(invalid)}`);
+      if (resealed.length && !reseal) {
+        throw new Error(`${resealed.map((ev) => `"${ev.title}"`).join(", ")} no longer match the hashes in the file; import with { reseal: true } to re-seal them`);
+      }
+      await merge(data, {}, prefer);
+      return { warnings };
+    },
+
+    save: () => apply(async (current) => {
+      await storage.save(null, current);
+      return current;
+    }),
+  };
+}
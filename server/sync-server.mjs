@@ -0,0 +1,309 @@
+// Sync server for sharing one evidence database across a team. No dependencies: Node 18+ only.
+//
+//   node server/sync-server.mjs [--port 8787] [--host 127.0.0.1] [--data ./evidence-sync.json]
+//
+// Set SYNC_TOKEN to require "Authorization: Bearer <token>" on every request. The server listens on
+// 127.0.0.1 unless a host is given, and refuses to listen on any other address without a token.
+// Data is kept in a single JSON file, rewritten atomically after every change.
+//
+// Every record is stored as { version, seq, deleted, data }. `version` counts the writes to that
+// record; a write must name the version it was based on (baseVersion, 0 for a new record) and is
+// refused with 409 and the current record when someone else wrote in between. `seq` is a
+// server-wide change counter that clients pull from (GET /api/changes?since=<seq>).
+//
+// Collections: investigations, evidence, entities, entityLinks, users, revisions, settings (id "settings").
+//   GET    /api/health
+//   GET    /api/changes?since=<seq>                  -> { seq, changes: [{ collection, id, version, deleted, data }] }
+//   POST   /api/changes  { changes: [{ collection, id, baseVersion, deleted?, data? }] }
+//                                                    -> { seq, results: [{ collection, id, status: "ok" | "conflict", version, deleted?, data? }] }
+//   GET    /api/<collection>                         -> [{ id, version, data }]
+//   GET    /api/<collection>/<id>                    -> { id, version, data }
+//   PUT    /api/<collection>/<id>  { baseVersion, data }
+//   DELETE /api/<collection>/<id>?baseVersion=<n>
+//   GET    /api/evidence/<id>/entries                -> { version, head, entries }
+//   POST   /api/evidence/<id>/entries  { entry }     -> appends a sealed entry whose prevHash is the current head
+//
+// Evidence written through /api/changes or PUT is refused with 400 when its hash chain is broken or
+// when it would change or drop an entry the server already holds.
+//
+// Attachment files are not synced; only their metadata (name, size, SHA-256) travels with the entries.
+import { createServer } from "node:http";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+const COLLECTIONS = ["investigations", "evidence", "entities", "entityLinks", "users", "revisions", "settings"];
+const GENESIS_HASH = "0".repeat(64);
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+// Same canonical form as the app: keys sorted, no whitespace, undefined fields dropped.
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map((v) => canonicalJSON(v === undefined ? null : v)).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const entryHash = ({ hash, ...content }) => createHash("sha256").update(canonicalJSON(content)).digest("hex");
+
+// ---- Store ----
+function openStore(file) {
+  const state = existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : { seq: 0, records: {} };
+  COLLECTIONS.forEach((c) => (state.records[c] ||= {}));
+
+  function persist() {
+    writeFileSync(`${file}.tmp`, JSON.stringify(state));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  const view = (collection, id, rec) => ({ collection, id, version: rec.version, deleted: rec.deleted, ...(rec.deleted ? {} : { data: rec.data }) });
+
+  return {
+    get seq() {
+      return state.seq;
+    },
+    get: (collection, id) => state.records[collection][id] || null,
+    list: (collection) =>
+      Object.entries(state.records[collection])
+        .filter(([, rec]) => !rec.deleted)
+        .map(([id, rec]) => ({ id, version: rec.version, data: rec.data })),
+    changesSince: (since) =>
+      COLLECTIONS.flatMap((collection) =>
+        Object.entries(state.records[collection])
+          .filter(([, rec]) => rec.seq > since)
+          .map(([id, rec]) => view(collection, id, rec))
+      ).sort((a, b) => state.records[a.collection][a.id].seq - state.records[b.collection][b.id].seq),
+    // Writing the data the record already holds succeeds without a new version, so a client that
+    // retries a push after a lost response does not conflict with itself.
+    write(collection, id, baseVersion, change, save = true) {
+      const current = state.records[collection][id];
+      const version = current?.version || 0;
+      const deleted = !!change.deleted;
+      if (current && current.deleted === deleted && (deleted || canonicalJSON(current.data) === canonicalJSON(change.data))) {
+        return { status: "ok", ...view(collection, id, current) };
+      }
+      if (!current && deleted) return { status: "ok", collection, id, version: 0, deleted: true };
+      if (baseVersion !== version) return { status: "conflict", ...view(collection, id, current) };
+      const rec = { version: version + 1, seq: ++state.seq, deleted, data: deleted ? null : change.data };
+      state.records[collection][id] = rec;
+      if (save) persist();
+      return { status: "ok", ...view(collection, id, rec) };
+    },
+    persist,
+  };
+}
+
+// ---- HTTP ----
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      let body;
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {};
+      } catch {
+        return reject(new HttpError(400, "Body is not valid JSON"));
+      }
+      if (!body || typeof body !== "object" || Array.isArray(body)) reject(new HttpError(400, "Body must be a JSON object"));
+      else resolveBody(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function authorized(req, token) {
+  if (!token) return true;
+  const given = Buffer.from(req.headers.authorization || "");
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function decodePart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    throw new HttpError(400, "Malformed URL");
+  }
+}
+
+function isLoopback(host) {
+  return host === "localhost" || host === "::1" || /^127(\.\d{1,3}){3}$/.test(host);
+}
+
+function collectionOf(name) {
+  if (!COLLECTIONS.includes(name)) throw new HttpError(404, `Unknown collection "${name}"`);
+  return name;
+}
+
+function checkChange(change) {
+  if (!change || typeof change !== "object") throw new HttpError(400, "Each change must be an object");
+  collectionOf(change.collection);
+  if (typeof change.id !== "string" || !change.id) throw new HttpError(400, "Each change needs an id");
+  if (!Number.isInteger(change.baseVersion) || change.baseVersion < 0) throw new HttpError(400, `Change ${change.id} needs a baseVersion`);
+  if (!change.deleted && (!change.data || typeof change.data !== "object")) throw new HttpError(400, `Change ${change.id} needs data`);
+}
+
+// Evidence written as a whole record must carry an intact hash chain, and (unless the write is about
+// to conflict anyway) keep every sealed entry the server holds: threads only grow at the head.
+function checkThread(store, change) {
+  if (change.collection !== "evidence" || change.deleted) return;
+  const entries = change.data.entries || [];
+  if (!Array.isArray(entries)) throw new HttpError(400, `Evidence ${change.id} needs an entries array`);
+  let prev = GENESIS_HASH;
+  [...entries].reverse().forEach((en, i) => {
+    if (!en || typeof en !== "object" || en.prevHash !== prev || en.hash !== entryHash(en)) {
+      throw new HttpError(400, `Evidence ${change.id} has a broken hash chain at entry ${i + 1}`);
+    }
+    prev = en.hash;
+  });
+  const current = store.get("evidence", change.id);
+  if (!current || current.deleted || current.version !== change.baseVersion) return;
+  const hashes = new Map(entries.map((en) => [en.id, en.hash]));
+  if ((current.data.entries || []).some((en) => en.hash && hashes.get(en.id) !== en.hash)) {
+    throw new HttpError(400, `Evidence ${change.id} would change or remove sealed entries`);
+  }
+}
+
+function appendEntry(store, evidenceId, entry) {
+  const current = store.get("evidence", evidenceId);
+  if (!current || current.deleted) throw new HttpError(404, "Evidence not found");
+  if (!entry || typeof entry !== "object" || typeof entry.id !== "string") throw new HttpError(400, "Body needs an entry");
+  const entries = current.data.entries || [];
+  const head = entries[0]?.hash || GENESIS_HASH;
+  if (entry.prevHash !== head) throw new HttpError(409, "The thread has moved on; re-seal the entry on the current head", { head, version: current.version });
+  if (entry.hash !== entryHash(entry)) throw new HttpError(400, "Entry hash does not match its content");
+  if (entries.some((en) => en.id === entry.id)) throw new HttpError(409, "An entry with this id already exists", { head, version: current.version });
+  const data = { ...current.data, entries: [entry, ...entries], updatedAt: Math.max(current.data.updatedAt || 0, entry.timestamp || 0) };
+  return store.write("evidence", evidenceId, current.version, { data });
+}
+
+async function handle(store, req, res, url) {
+  const parts = url.pathname.split("/").filter(Boolean).map(decodePart);
+  if (parts[0] !== "api") throw new HttpError(404, "Not found");
+  const [, name, id, sub] = parts;
+
+  if (name === "health" && req.method === "GET") return send(res, 200, { ok: true, seq: store.seq });
+
+  if (name === "changes" && !id) {
+    if (req.method === "GET") {
+      const since = Number(url.searchParams.get("since") || 0);
+      return send(res, 200, { seq: store.seq, changes: store.changesSince(since) });
+    }
+    if (req.method === "POST") {
+      const { changes } = await readBody(req);
+      if (!Array.isArray(changes)) throw new HttpError(400, "Body needs a changes array");
+      changes.forEach((c) => {
+        checkChange(c);
+        checkThread(store, c);
+      });
+      const results = changes.map((c) => store.write(c.collection, c.id, c.baseVersion, c, false));
+      store.persist();
+      return send(res, 200, { seq: store.seq, results });
+    }
+  }
+
+  const collection = collectionOf(name);
+  if (!id) {
+    if (req.method === "GET") return send(res, 200, store.list(collection));
+    throw new HttpError(405, "Method not allowed");
+  }
+
+  if (sub === "entries" && collection === "evidence") {
+    if (req.method === "GET") {
+      const rec = store.get("evidence", id);
+      if (!rec || rec.deleted) throw new HttpError(404, "Evidence not found");
+      const entries = rec.data.entries || [];
+      return send(res, 200, { version: rec.version, head: entries[0]?.hash || GENESIS_HASH, entries });
+    }
+    if (req.method === "POST") {
+      const { entry } = await readBody(req);
+      return send(res, 201, appendEntry(store, id, entry));
+    }
+    throw new HttpError(405, "Method not allowed");
+  }
+  if (sub) throw new HttpError(404, "Not found");
+
+  const reply = (result) => send(res, result.status === "ok" ? 200 : 409, result);
+  if (req.method === "GET") {
+    const rec = store.get(collection, id);
+    if (!rec || rec.deleted) throw new HttpError(404, "Not found");
+    return send(res, 200, { id, version: rec.version, data: rec.data });
+  }
+  if (req.method === "PUT") {
+    const { baseVersion, data } = await readBody(req);
+    const change = { collection, id, baseVersion, data };
+    checkChange(change);
+    checkThread(store, change);
+    return reply(store.write(collection, id, baseVersion, change));
+  }
+  if (req.method === "DELETE") {
+    const change = { collection, id, baseVersion: Number(url.searchParams.get("baseVersion")), deleted: true };
+    checkChange(change);
+    return reply(store.write(collection, id, change.baseVersion, change));
+  }
+  throw new HttpError(405, "Method not allowed");
+}
+
+const port = Number(option("port", process.env.PORT || 8787));
+const host = option("host", process.env.SYNC_HOST || "127.0.0.1");
+const file = resolve(option("data", process.env.SYNC_DATA || "evidence-sync.json"));
+const token = process.env.SYNC_TOKEN || "";
+if (!token && !isLoopback(host)) {
+  console.error(`Refusing to listen on ${host} without SYNC_TOKEN: anyone who can reach it could read and change the evidence.`);
+  process.exit(1);
+}
+const store = openStore(file);
+
+const server = createServer((req, res) => {
+  let url;
+  try {
+    url = new URL(req.url, "http://localhost");
+  } catch {
+    return send(res, 400, { error: "Malformed URL" });
+  }
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (!authorized(req, token)) return send(res, 401, { error: "Missing or wrong sync token" });
+  handle(store, req, res, url).catch((e) => {
+    if (!(e instanceof HttpError)) console.error(e);
+    send(res, e.status || 500, { error: e.message, ...e.body });
+  });
+});
+server.listen(port, host, () => {
+  console.log(`Evidence sync server on http://${host.includes(":") ? `[${host}]` : host}:${server.address().port} (data: ${file}${token ? ", token required" : ""})`);
+});
@@ -0,0 +1,214 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { openEvidenceDB, memoryStorage, threadView, verifyChain, verifyThread, validateDB, buildCaseReport, dueForReview, parseCSV, formatInZone, isoInZone, REDACTED } from "../evidence-db.mjs";
+
+async function caseWithThread(storage) {
+  const edb = await openEvidenceDB({ storage, actor: "Tester" });
+  const inv = await edb.createInvestigation({ title: "Warehouse break-in", caseNumber: "2025-014" });
+  const ev = await edb.createEvidence(inv.id, { title: "Witness statement" });
+  return { edb, inv, ev };
+}
+
+test("creates, updates and trashes records, saving each change", async () => {
+  const storage = memoryStorage();
+  const { edb, inv, ev } = await caseWithThread(storage);
+  await edb.updateInvestigation(inv.id, { title: "Warehouse burglary" });
+  assert.equal(edb.getInvestigation(inv.id).title, "Warehouse burglary");
+  assert.deepEqual(edb.evidence(inv.id).map((e) => e.id), [ev.id]);
+
+  await edb.deleteEvidence(ev.id);
+  assert.equal(edb.getEvidence(ev.id), null);
+  assert.ok(edb.data.evidence.find((e) => e.id === ev.id).deletedAt);
+
+  const reopened = await openEvidenceDB({ storage });
+  assert.equal(reopened.getInvestigation(inv.id).title, "Warehouse burglary");
+  assert.equal(reopened.getEvidence(ev.id), null);
+  await assert.rejects(edb.createInvestigation({ title: 42 }));
+});
+
+test("seals entries onto the thread and finds tampering", async () => {
+  const { edb, inv, ev } = await caseWithThread();
+  await edb.addEntry(ev.id, { body: "Collected at the scene" });
+  await edb.addEntry(ev.id, { body: "Bagged and labelled" });
+  assert.deepEqual(await edb.verify(), []);
+
+  const entries = edb.getEvidence(ev.id).entries;
+  assert.equal(entries[0].prevHash, entries[1].hash);
+  const backdated = await edb.addEntry(ev.id, { body: "Back-dated", id: "fixed", timestamp: 1 });
+  assert.notEqual(backdated.id, "fixed");
+  assert.ok(backdated.timestamp > 1);
+  assert.equal((await verifyChain(entries)).ok, true);
+
+  const tampered = entries.map((en, i) => (i === 1 ? { ...en, body: "Left at the scene" } : en));
+  const result = await verifyChain(tampered);
+  assert.equal(result.ok, false);
+  assert.equal(result.index, 1);
+  const report = buildCaseReport(inv, [{ ...ev, entries: tampered }], { integrity: { [ev.id]: result } });
+  assert.match(report, /Hash chain broken at entry 1:/);
+});
+
+test("limits a case report's date range by when entries occurred", async () => {
+  const { edb, inv, ev } = await caseWithThread();
+  const day = Date.UTC(2025, 2, 1);
+  await edb.addEntry(ev.id, { body: "Back-dated into the range", occurredAt: day + 3600000, timeZone: "UTC" });
+  await edb.addEntry(ev.id, { body: "Happened before the range", occurredAt: day - 3600000, timeZone: "UTC" });
+  await edb.addEntry(ev.id, { body: "Recorded today" });
+  const report = buildCaseReport(inv, edb.data.evidence, { from: day, to: day + 86400000 });
+  assert.match(report, /Back-dated into the range/);
+  assert.doesNotMatch(report, /Happened before the range|Recorded today/);
+});
+
+test("merges a JSON export into another database", async () => {
+  const { edb, inv, ev } = await caseWithThread();
+  await edb.addEntry(ev.id, { body: "Collected at the scene" });
+
+  const other = await openEvidenceDB({ actor: "Other" });
+  const own = await other.createInvestigation({ title: "Unrelated case" });
+  assert.deepEqual((await other.importJSON(edb.exportJSON())).problems, []);
+  assert.deepEqual(other.investigations().map((i) => i.id).sort(), [inv.id, own.id].sort());
+  assert.equal(other.getEvidence(ev.id).entries.length, 1);
+  assert.deepEqual(await other.verify(), []);
+
+  await assert.rejects(other.importJSON("{ not json"));
+});
+
+test("takes a newer export of records not edited here since the last import", async () => {
+  const { edb, inv } = await caseWithThread();
+  const other = await openEvidenceDB({ actor: "Other" });
+  await other.importJSON(edb.exportJSON());
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await edb.updateInvestigation(inv.id, { title: "Warehouse burglary" });
+  await other.importJSON(edb.exportJSON());
+  assert.equal(other.getInvestigation(inv.id).title, "Warehouse burglary");
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await other.updateInvestigation(inv.id, { title: "Edited here" });
+  await edb.updateInvestigation(inv.id, { title: "Edited there" });
+  await other.importJSON(edb.exportJSON());
+  assert.equal(other.getInvestigation(inv.id).title, "Edited here");
+});
+
+test("round-trips a CSV export", async () => {
+  const { edb, inv, ev } = await caseWithThread();
+  await edb.addEntry(ev.id, { body: "Collected at the scene, \"bag 3\"" });
+  await edb.addEntry(ev.id, { body: "Sent to the lab" });
+
+  const other = await openEvidenceDB();
+  const { warnings } = await other.importCSV(edb.exportCSV({ roundTrip: true }));
+  assert.deepEqual(warnings, []);
+  assert.equal(other.getInvestigation(inv.id).caseNumber, "2025-014");
+  assert.deepEqual(other.getEvidence(ev.id).entries.map((en) => en.body), edb.getEvidence(ev.id).entries.map((en) => en.body));
+  assert.deepEqual(await other.verify(), []);
+});
+
+test("redacts text outside full exports", async () => {
+  const { edb, ev } = await caseWithThread();
+  const entry = await edb.addEntry(ev.id, { body: "Witness Jane Roe of 12 Elm St saw a red van." });
+  await assert.rejects(edb.redactEntry(ev.id, entry.id, ["not in the entry"]));
+  await edb.redactEntry(ev.id, entry.id, ["Jane Roe", "12 Elm St"], "Witness privacy");
+
+  const [item] = threadView(edb.getEvidence(ev.id).entries);
+  assert.equal(item.redactions.length, 1);
+  assert.ok(!edb.exportJSON().includes("Jane Roe"));
+  assert.ok(!edb.exportCSV().includes("Jane Roe"));
+  const amendment = await edb.amendEntry(ev.id, entry.id, "Witness saw a blue van.", "Colour");
+  const [header, ...rows] = parseCSV(edb.exportCSV());
+  const ids = rows.map((r) => r[header.indexOf("entryId")]);
+  const target = rows.find((r) => r[header.indexOf("entryId")] === amendment.id)[header.indexOf("amendment")].split(":")[0];
+  assert.ok(ids.includes(target));
+  assert.ok(edb.exportJSON({ full: true }).includes("Jane Roe"));
+  assert.deepEqual(await edb.verify(), []);
+});
+
+test("round-trips a CSV export of a thread with a redaction", async () => {
+  const { edb, ev } = await caseWithThread();
+  const entry = await edb.addEntry(ev.id, { body: "Witness Jane Roe saw a red van." });
+  await edb.redactEntry(ev.id, entry.id, ["Jane Roe"], "Witness privacy");
+
+  const other = await openEvidenceDB();
+  assert.deepEqual((await other.importCSV(edb.exportCSV({ roundTrip: true }))).warnings, []);
+  const hashes = (db) => db.getEvidence(ev.id).entries.map((en) => en.hash);
+  assert.deepEqual(hashes(other), hashes(edb));
+  assert.equal(threadView(other.getEvidence(ev.id).entries)[0].redactions.length, 1);
+  assert.deepEqual(await other.verify(), []);
+});
+
+test("accepts masked entries only as listed by a redacted export", async () => {
+  const { edb, ev } = await caseWithThread();
+  const entry = await edb.addEntry(ev.id, { body: "Witness Jane Roe saw a red van." });
+  await edb.addEntry(ev.id, { body: "Van seen again on Elm St." });
+  const redaction = await edb.redactEntry(ev.id, entry.id, ["Jane Roe"]);
+  const redacted = edb.exportJSON();
+
+  const other = await openEvidenceDB();
+  assert.deepEqual((await other.importJSON(redacted)).problems, []);
+  assert.deepEqual(await other.verify(), []);
+  const copy = other.getEvidence(ev.id);
+  assert.deepEqual([...copy.maskedEntries].sort(), [entry.id, redaction.id].sort());
+  assert.deepEqual(await verifyThread(copy), { ok: true, head: copy.entries[0].hash, partial: true });
+  assert.equal((await verifyChain(copy.entries)).ok, false);
+
+  const again = await openEvidenceDB();
+  assert.deepEqual((await again.importJSON(other.exportJSON({ full: true }))).problems, []);
+  assert.equal((await verifyThread(again.getEvidence(ev.id))).partial, true);
+
+  const forged = JSON.parse(redacted);
+  const unredacted = forged.evidence[0].entries.find((en) => en.body.startsWith("Van"));
+  Object.assign(unredacted, { body: `Van seen again on ${REDACTED}.`, masked: true });
+  forged.integrity.masked.push(unredacted.id);
+  const [problem] = (await (await openEvidenceDB()).importJSON(JSON.stringify(forged))).problems;
+  assert.match(problem.message, /does not match a redaction/);
+
+  const full = JSON.parse(edb.exportJSON({ full: true }));
+  full.evidence[0].entries.find((en) => en.id === entry.id).masked = true;
+  full.evidence[0].entries.find((en) => en.id === entry.id).body = `Witness ${REDACTED} saw a blue van.`;
+  const [fullProblem] = (await (await openEvidenceDB()).importJSON(JSON.stringify(full))).problems;
+  assert.match(fullProblem.message, /masked/);
+});
+
+test("refuses unknown time zones and formats stored ones without throwing", async () => {
+  const { edb, ev } = await caseWithThread();
+  const at = Date.UTC(2025, 2, 1, 13, 30);
+  await assert.rejects(edb.addEntry(ev.id, { body: "Seen", occurredAt: at, timeZone: "Mars/Olympus_Mons" }), /time zone/);
+  const entry = await edb.addEntry(ev.id, { body: "Seen", occurredAt: at, timeZone: "Europe/Berlin" });
+  assert.equal(isoInZone(entry.occurredAt, entry.timeZone), "2025-03-01T14:30:00.000+01:00");
+
+  const data = JSON.parse(edb.exportJSON());
+  data.evidence[0].entries[0].timeZone = "Mars/Olympus_Mons";
+  assert.deepEqual(validateDB(data).map((p) => p.path), ["evidence[0].entries[0].timeZone"]);
+  assert.equal(isoInZone(at, "Mars/Olympus_Mons"), "2025-03-01T13:30:00.000Z");
+  assert.doesNotThrow(() => formatInZone(at, "Mars/Olympus_Mons"));
+});
+
+test("lists evidence due for review, leaving out the trash", async () => {
+  const { edb, inv, ev } = await caseWithThread();
+  const other = await edb.createEvidence(inv.id, { title: "Knife" });
+  const closedCase = await edb.createInvestigation({ title: "Closed case" });
+  const inClosedCase = await edb.createEvidence(closedCase.id, { title: "Phone" });
+  const now = Date.now();
+  for (const id of [ev.id, other.id, inClosedCase.id]) await edb.setDisposition(id, "stored", "Logged into storage", now - 1000);
+  const due = () => dueForReview(edb.data, now).map((d) => d.evidence.id).sort();
+  assert.deepEqual(due(), [ev.id, other.id, inClosedCase.id].sort());
+
+  await edb.deleteEvidence(other.id);
+  await edb.deleteInvestigation(closedCase.id);
+  assert.deepEqual(due(), [ev.id]);
+});
+
+test("re-seals CSV threads whose entries were changed only when asked to, and records it", async () => {
+  const { edb, ev } = await caseWithThread();
+  await edb.addEntry(ev.id, { body: "Collected at the scene" });
+  const edited = edb.exportCSV({ roundTrip: true }).replace("Collected at the scene", "Found at the scene");
+
+  const other = await openEvidenceDB({ actor: "Importer" });
+  await assert.rejects(other.importCSV(edited), /"Witness statement" no longer match/);
+  assert.equal(other.getEvidence(ev.id), null);
+
+  await other.importCSV(edited, { reseal: true });
+  assert.equal(other.getEvidence(ev.id).entries[0].body, "Found at the scene");
+  assert.deepEqual(await other.verify(), []);
+  const revision = other.data.revisions.find((r) => r.action === "reseal");
+  assert.equal(revision.recordId, ev.id);
+  assert.equal(revision.by, "Importer");
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import { connect } from "node:net";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../server/sync-server.mjs", import.meta.url));
+
+// Starts the server on a free port; resolves to { base, stop }.
+async function startServer() {
+  const dir = await mkdtemp(join(tmpdir(), "evidence-sync-"));
+  const child = spawn(process.execPath, [SERVER, "--port", "0", "--data", join(dir, "data.json")], { env: { ...process.env, SYNC_TOKEN: "" } });
+  const base = await new Promise((resolve, reject) => {
+    child.stdout.on("data", (chunk) => {
+      const m = /http:\/\/(\S+):(\d+)/.exec(String(chunk));
+      if (m) resolve(`http://${m[1]}:${m[2]}`);
+    });
+    child.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+  });
+  return {
+    base,
+    stop: async () => {
+      child.kill();
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Writes `request` as-is on a new connection and resolves to the raw response.
+function rawRequest(base, request) {
+  const { hostname, port } = new URL(base);
+  return new Promise((resolve, reject) => {
+    const socket = connect(Number(port), hostname, () => socket.end(request));
+    let response = "";
+    socket.on("data", (chunk) => (response += chunk));
+    socket.on("end", () => resolve(response));
+    socket.on("error", reject);
+  });
+}
+
+test("answers a malformed request line with 400 and keeps serving", async () => {
+  const { base, stop } = await startServer();
+  try {
+    const response = await rawRequest(base, "GET //[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n");
+    assert.match(response, /^HTTP\/1\.1 400/);
+    const health = await fetch(`${base}/api/health`);
+    assert.equal(health.status, 200);
+    assert.equal((await health.json()).ok, true);
+  } finally {
+    await stop();
+  }
+});